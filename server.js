@@ -7,9 +7,10 @@ import { v2 } from "@google-cloud/translate";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
-import { promisify } from "util";
+import crypto from "crypto";
+import NodeCache from "node-cache";
 import { initializeApp } from "firebase/app";
-import { getFirestore, collection, doc, setDoc, getDoc, updateDoc, arrayUnion } from "firebase/firestore";
+import { getFirestore, collection, doc, setDoc, getDoc, getDocs, updateDoc, deleteDoc, query, where, runTransaction, Timestamp } from "firebase/firestore";
 
 dotenv.config();
 
@@ -18,68 +19,568 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+// เก็บ raw body ไว้ตรวจ X-Line-Signature เพราะ JSON ที่ parse แล้วอาจไม่ตรงกับ byte ที่ LINE เซ็นมา
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.static(path.join(__dirname, "public")));
 
+// SANDBOX_MODE=true ใช้ตัวแทนในเครื่องแทน service ภายนอกทั้งหมด และบันทึกข้อความที่จะส่งไป LINE แทนการส่งจริง
+// ค่า env ที่ไม่ได้กำหนดจะใช้ค่าด้านล่าง จึงรันได้โดยไม่ต้องมี credential ใด ๆ
+const SANDBOX_MODE = process.env.SANDBOX_MODE === "true";
+if (SANDBOX_MODE) {
+  const sandboxEnvDefaults = {
+    STORAGE_BACKEND: "memory",
+    LLM_PROVIDER: "mock",
+    WEATHER_PROVIDER: "stub",
+    AIR_QUALITY_PROVIDER: "stub",
+    GOOGLE_APPLICATION_CREDENTIALS: "sandbox-credentials.json",
+    GOOGLE_PLACES_API_KEY: "sandbox-places-key",
+    GOOGLE_VISION_API_KEY: "sandbox-vision-key",
+    LINE_ACCESS_TOKEN: "sandbox-access-token",
+    LINE_CHANNEL_SECRET: "sandbox-channel-secret",
+    LINE_LOGIN_CHANNEL_ID: "sandbox-login-channel",
+    GOOGLE_CUSTOM_SEARCH_API_KEY: "sandbox-custom-search-key",
+    GOOGLE_CUSTOM_SEARCH_ENGINE_ID: "sandbox-engine",
+  };
+  for (const [envVar, value] of Object.entries(sandboxEnvDefaults)) {
+    if (!process.env[envVar]) process.env[envVar] = value;
+  }
+  console.log("🧪 Sandbox mode: external services are replaced with local stand-ins");
+}
+
 const requiredEnvVars = [
-  "FIREBASE_API_KEY",
-  "FIREBASE_AUTH_DOMAIN",
-  "FIREBASE_PROJECT_ID",
-  "FIREBASE_STORAGE_BUCKET",
-  "FIREBASE_MESSAGING_SENDER_ID",
-  "FIREBASE_APP_ID",
   "GOOGLE_APPLICATION_CREDENTIALS",
   "GOOGLE_PLACES_API_KEY",
   "GOOGLE_VISION_API_KEY",
   "LINE_ACCESS_TOKEN",
-  "PROJECT_ID",
+  "LINE_CHANNEL_SECRET",
+  "LINE_LOGIN_CHANNEL_ID",
   "GOOGLE_CUSTOM_SEARCH_API_KEY",
   "GOOGLE_CUSTOM_SEARCH_ENGINE_ID",
 ];
-for (const envVar of requiredEnvVars) {
+// env ที่ต้องมีเพิ่มตาม STORAGE_BACKEND ที่เลือก
+const storageBackendEnvVars = {
+  firestore: [
+    "FIREBASE_API_KEY",
+    "FIREBASE_AUTH_DOMAIN",
+    "FIREBASE_PROJECT_ID",
+    "FIREBASE_STORAGE_BUCKET",
+    "FIREBASE_MESSAGING_SENDER_ID",
+    "FIREBASE_APP_ID",
+  ],
+  memory: [],
+  file: [],
+};
+const storageBackendName = process.env.STORAGE_BACKEND || "firestore";
+if (!storageBackendEnvVars[storageBackendName]) {
+  console.error(`❌ Unknown STORAGE_BACKEND: ${storageBackendName} (ใช้ได้: ${Object.keys(storageBackendEnvVars).join(", ")})`);
+  process.exit(1);
+}
+for (const envVar of [...requiredEnvVars, ...storageBackendEnvVars[storageBackendName]]) {
   if (!process.env[envVar]) {
     console.error(`❌ Missing environment variable: ${envVar}`);
     process.exit(1);
   }
 }
 
-const firebaseConfig = {
-  apiKey: process.env.FIREBASE_API_KEY,
-  authDomain: process.env.FIREBASE_AUTH_DOMAIN,
-  projectId: process.env.FIREBASE_PROJECT_ID,
-  storageBucket: process.env.FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: process.env.FIREBASE_MESSAGING_SENDER_ID,
-  appId: process.env.FIREBASE_APP_ID,
+const isPlainObject = (value) => Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+
+// merge แบบเดียวกับ setDoc(..., { merge: true }) ของ Firestore: map ซ้อนกันจะถูก merge ส่วนค่าอื่นเขียนทับ
+const deepMerge = (target, source) => {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key]) ? deepMerge(result[key], value) : value;
+  }
+  return result;
+};
+
+const getFieldValue = (data, fieldPath) => fieldPath.split(".").reduce((value, key) => value?.[key], data);
+
+// รองรับ field แบบมีจุด เช่น "aqiAlert.lastAlertedAt" เหมือน updateDoc
+const setFieldValue = (data, fieldPath, value) => {
+  const keys = fieldPath.split(".");
+  const result = { ...data };
+  let current = result;
+  for (const key of keys.slice(0, -1)) {
+    current[key] = isPlainObject(current[key]) ? { ...current[key] } : {};
+    current = current[key];
+  }
+  current[keys[keys.length - 1]] = value;
+  return result;
+};
+
+// ค่าที่อ่านจาก storage ทุก backend ใช้ Date แทน Timestamp ของ Firestore
+const fromFirestoreValue = (value) => {
+  if (value instanceof Timestamp) return value.toDate();
+  if (Array.isArray(value)) return value.map(fromFirestoreValue);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromFirestoreValue(item)]));
+  }
+  return value;
+};
+
+let firestoreDb = null;
+const getFirestoreDb = () => {
+  if (!firestoreDb) {
+    const firebaseApp = initializeApp({
+      apiKey: process.env.FIREBASE_API_KEY,
+      authDomain: process.env.FIREBASE_AUTH_DOMAIN,
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      storageBucket: process.env.FIREBASE_STORAGE_BUCKET,
+      messagingSenderId: process.env.FIREBASE_MESSAGING_SENDER_ID,
+      appId: process.env.FIREBASE_APP_ID,
+    });
+    firestoreDb = getFirestore(firebaseApp);
+    console.log("✅ Firebase initialized successfully");
+  }
+  return firestoreDb;
+};
+
+// ทุก backend มีเมธอดเดียวกัน: get, set, update, remove, find, newId, createIfAbsent, updateInTransaction
+const firestoreStorageBackend = {
+  name: "firestore",
+  async get(collectionName, id) {
+    const snapshot = await getDoc(doc(getFirestoreDb(), collectionName, id));
+    return snapshot.exists() ? fromFirestoreValue(snapshot.data()) : null;
+  },
+  async set(collectionName, id, data, { merge = false } = {}) {
+    await setDoc(doc(getFirestoreDb(), collectionName, id), data, { merge });
+  },
+  async update(collectionName, id, fields) {
+    await updateDoc(doc(getFirestoreDb(), collectionName, id), fields);
+  },
+  async remove(collectionName, id) {
+    await deleteDoc(doc(getFirestoreDb(), collectionName, id));
+  },
+  async find(collectionName, field, value) {
+    const snapshot = await getDocs(query(collection(getFirestoreDb(), collectionName), where(field, "==", value)));
+    return snapshot.docs.map(item => ({ id: item.id, ...fromFirestoreValue(item.data()) }));
+  },
+  newId(collectionName) {
+    return doc(collection(getFirestoreDb(), collectionName)).id;
+  },
+  // ใช้ transaction เพื่อให้หลาย instance จองเอกสารเดียวกันได้เพียงครั้งเดียว
+  async createIfAbsent(collectionName, id, data) {
+    const db = getFirestoreDb();
+    const ref = doc(db, collectionName, id);
+    return runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      if (snapshot.exists()) return false;
+      transaction.set(ref, data);
+      return true;
+    });
+  },
+  // อ่านแล้วเขียนใน transaction เดียว update(data) คืน { fields, result } ไม่มี fields เมื่อไม่ต้องเขียน แล้วคืน result
+  async updateInTransaction(collectionName, id, update) {
+    const db = getFirestoreDb();
+    const ref = doc(db, collectionName, id);
+    return runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      const { fields, result } = update(snapshot.exists() ? fromFirestoreValue(snapshot.data()) : null);
+      if (fields) transaction.update(ref, fields);
+      return result;
+    });
+  },
+};
+
+// เก็บข้อมูลใน process ใช้สำหรับพัฒนาและทดสอบ ข้อมูลหายเมื่อรีสตาร์ต
+const createMemoryStorageBackend = (name = "memory", onChange = () => {}) => {
+  const collections = new Map();
+  const getCollection = (collectionName) => {
+    if (!collections.has(collectionName)) collections.set(collectionName, new Map());
+    return collections.get(collectionName);
+  };
+
+  return {
+    name,
+    collections,
+    async get(collectionName, id) {
+      const data = getCollection(collectionName).get(id);
+      return data ? structuredClone(data) : null;
+    },
+    async set(collectionName, id, data, { merge = false } = {}) {
+      const items = getCollection(collectionName);
+      items.set(id, structuredClone(merge && items.has(id) ? deepMerge(items.get(id), data) : data));
+      onChange();
+    },
+    async update(collectionName, id, fields) {
+      const items = getCollection(collectionName);
+      if (!items.has(id)) throw new Error(`No document to update: ${collectionName}/${id}`);
+      const updated = Object.entries(fields).reduce((data, [field, value]) => setFieldValue(data, field, value), items.get(id));
+      items.set(id, structuredClone(updated));
+      onChange();
+    },
+    async remove(collectionName, id) {
+      if (getCollection(collectionName).delete(id)) onChange();
+    },
+    async find(collectionName, field, value) {
+      return [...getCollection(collectionName)]
+        .filter(([, data]) => getFieldValue(data, field) === value)
+        .map(([id, data]) => ({ id, ...structuredClone(data) }));
+    },
+    newId() {
+      return crypto.randomBytes(10).toString("hex");
+    },
+    async createIfAbsent(collectionName, id, data) {
+      const items = getCollection(collectionName);
+      if (items.has(id)) return false;
+      items.set(id, structuredClone(data));
+      onChange();
+      return true;
+    },
+    // อ่านและเขียนต่อกันโดยไม่มี await คั่น จึงไม่มีคำขออื่นแทรกได้
+    async updateInTransaction(collectionName, id, update) {
+      const items = getCollection(collectionName);
+      const { fields, result } = update(items.has(id) ? structuredClone(items.get(id)) : null);
+      if (fields) {
+        const updated = Object.entries(fields).reduce((data, [field, value]) => setFieldValue(data, field, value), items.get(id));
+        items.set(id, structuredClone(updated));
+        onChange();
+      }
+      return result;
+    },
+  };
+};
+
+const STORAGE_FILE = path.resolve(__dirname, process.env.STORAGE_FILE || "./data/tripster-db.json");
+const STORAGE_FILE_WRITE_DELAY_MS = 200;
+
+// Date ถูกเก็บเป็น { "$date": ISO string } เพื่อให้อ่านกลับมาเป็น Date ได้
+const encodeStoredValue = function (key, value) {
+  return this[key] instanceof Date ? { $date: this[key].toISOString() } : value;
+};
+const decodeStoredValue = (key, value) => (isPlainObject(value) && typeof value.$date === "string" && Object.keys(value).length === 1
+  ? new Date(value.$date)
+  : value);
+
+// memory backend ที่บันทึกลงไฟล์ JSON (เขียนไฟล์ชั่วคราวแล้ว rename เพื่อไม่ให้ไฟล์เสียเมื่อ process หยุดกลางคัน)
+const createFileStorageBackend = () => {
+  let writeTimer = null;
+  const backend = createMemoryStorageBackend("file", () => {
+    if (writeTimer) return;
+    writeTimer = setTimeout(() => {
+      writeTimer = null;
+      const snapshot = Object.fromEntries([...backend.collections].map(([name, items]) => [name, Object.fromEntries(items)]));
+      fs.mkdirSync(path.dirname(STORAGE_FILE), { recursive: true });
+      fs.writeFileSync(`${STORAGE_FILE}.tmp`, JSON.stringify(snapshot, encodeStoredValue));
+      fs.renameSync(`${STORAGE_FILE}.tmp`, STORAGE_FILE);
+    }, STORAGE_FILE_WRITE_DELAY_MS);
+  });
+
+  if (fs.existsSync(STORAGE_FILE)) {
+    const stored = JSON.parse(fs.readFileSync(STORAGE_FILE, "utf8"), decodeStoredValue);
+    for (const [name, items] of Object.entries(stored)) {
+      backend.collections.set(name, new Map(Object.entries(items)));
+    }
+    console.log(`✅ Loaded local storage from ${STORAGE_FILE}`);
+  }
+  return backend;
+};
+
+const storageBackends = {
+  firestore: () => {
+    getFirestoreDb();
+    return firestoreStorageBackend;
+  },
+  memory: () => createMemoryStorageBackend(),
+  file: () => createFileStorageBackend(),
+};
+const storage = storageBackends[storageBackendName]();
+console.log(`✅ Storage backend: ${storage.name}`);
+
+// repository ของแต่ละชนิดข้อมูล โค้ดส่วนอื่นเรียกผ่านตรงนี้แทนการเรียก storage โดยตรง
+const chatHistoryRepository = {
+  get: (userId) => storage.get("chatHistory", userId),
+  save: (userId, { messages, summary }) => storage.set("chatHistory", userId, { messages, summary, lastUpdated: new Date() }, { merge: true }),
+  clear: (userId) => storage.set("chatHistory", userId, { messages: [], summary: "", lastUpdated: new Date() }),
+  remove: (chatId) => storage.remove("chatHistory", chatId),
+};
+
+const userRepository = {
+  get: (userId) => storage.get("users", userId),
+  merge: (userId, data) => storage.set("users", userId, data, { merge: true }),
+  update: (userId, fields) => storage.update("users", userId, fields),
+  listWithAqiAlerts: () => storage.find("users", "aqiAlert.enabled", true),
+};
+
+// กลุ่มและห้องแชตที่บอทอยู่ ใช้ groupId/roomId เป็น document id
+const groupRepository = {
+  get: (chatId) => storage.get("groups", chatId),
+  merge: (chatId, data) => storage.set("groups", chatId, data, { merge: true }),
+  update: (chatId, fields) => storage.update("groups", chatId, fields),
+  updateInTransaction: (chatId, update) => storage.updateInTransaction("groups", chatId, update),
+  remove: (chatId) => storage.remove("groups", chatId),
+};
+
+const planRepository = {
+  async get(planId) {
+    const data = await storage.get("plans", planId);
+    return data ? { id: planId, ...data } : null;
+  },
+  // ไม่ระบุ planId จะสร้างแผนใหม่ คืนค่า id ของแผน
+  async save(planId, data) {
+    const id = planId || storage.newId("plans");
+    await storage.set("plans", id, data);
+    return id;
+  },
+  listByUser: (userId) => storage.find("plans", "userId", userId),
+  // แผนกลุ่มเก็บ groupId แทน userId
+  listByGroup: (chatId) => storage.find("plans", "groupId", chatId),
+  update: (planId, fields) => storage.update("plans", planId, fields),
+  remove: (planId) => storage.remove("plans", planId),
+};
+
+// ข้อความที่ตั้งเวลาส่งไว้ล่วงหน้า เก็บใน storage เพื่อให้ยังอยู่หลังรีสตาร์ต
+const tripJobRepository = {
+  create: (data) => storage.set("tripJobs", storage.newId("tripJobs"), data),
+  update: (jobId, fields) => storage.update("tripJobs", jobId, fields),
+  listPending: () => storage.find("tripJobs", "status", "pending"),
+  listByUser: (userId) => storage.find("tripJobs", "userId", userId),
+  remove: (jobId) => storage.remove("tripJobs", jobId),
+};
+
+const cacheRepository = {
+  async get(key) {
+    const entry = await storage.get("apiCache", key);
+    if (!entry) return null;
+    if (entry.expiresAt.getTime() <= Date.now()) {
+      // Firestore ลบรายการหมดอายุด้วย TTL policy ส่วน backend อื่นลบตอนอ่าน
+      if (storage.name !== "firestore") await storage.remove("apiCache", key);
+      return null;
+    }
+    return entry;
+  },
+  set: (key, entry) => storage.set("apiCache", key, entry),
+};
+
+const webhookEventRepository = {
+  claim: (eventId, data) => storage.createIfAbsent("webhookEvents", eventId, data),
 };
-const firebaseApp = initializeApp(firebaseConfig);
-const db = getFirestore(firebaseApp);
-console.log("✅ Firebase initialized successfully");
 
-const ensureTempFolder = () => {
-  const tempDir = path.join(__dirname, "./temp");
-  if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true });
+const SANDBOX_OUTBOX_LIMIT = 500;
+const SANDBOX_PUSH_QUOTA = 200;
+const sandboxOutbox = [];
+let sandboxOutboxSequence = 0;
+// นับแยกจาก outbox เพราะ outbox ถูกล้างหรือตัดรายการเก่าทิ้งได้
+let sandboxPushCount = 0;
+
+const recordSandboxMessage = (entry) => {
+  sandboxOutbox.push({ id: ++sandboxOutboxSequence, ...entry, sentAt: new Date().toISOString() });
+  if (sandboxOutbox.length > SANDBOX_OUTBOX_LIMIT) sandboxOutbox.shift();
+};
+
+const sandboxSeed = (text) => parseInt(hashText(text).slice(0, 8), 16);
+
+// สร้างผลค้นหาแบบ deterministic รอบศูนย์กลางจังหวัดที่พบในข้อความ (ค่าเริ่มต้นเชียงใหม่)
+const createSandboxPlace = (name, { province = null, near = null, type = "tourist_attraction" } = {}) => {
+  const seed = sandboxSeed(`${name}:${type}`);
+  const center = near || northernProvinceInfo[province || findNorthernProvince(name) || "เชียงใหม่"];
+  return {
+    place_id: `sandbox-${hashText(`${name}:${type}`).slice(0, 16)}`,
+    name,
+    formatted_address: `${name}, ${province || findNorthernProvince(name) || "เชียงใหม่"}, Thailand`,
+    vicinity: `${name} (sandbox)`,
+    geometry: {
+      location: {
+        lat: Number((center.latitude + ((seed % 200) - 100) / 5000).toFixed(6)),
+        lng: Number((center.longitude + ((Math.floor(seed / 200) % 200) - 100) / 5000).toFixed(6)),
+      },
+    },
+    photos: [{ photo_reference: `sandbox-photo-${seed % 1000}` }],
+    rating: Number((3.8 + (seed % 12) / 10).toFixed(1)),
+    user_ratings_total: 50 + (seed % 950),
+    types: [type, "point_of_interest"],
+  };
+};
+
+// JPEG ขนาดเล็กที่สุดที่ถูกต้อง ใช้แทนเนื้อหารูปจาก LINE
+const SANDBOX_IMAGE = Buffer.from("/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAAMCAgICAgMCAgIDAwMDBAYEBAQEBAgGBgUGCQgKCgkICQkKDA8MCgsOCwkJDRENDg8QEBEQCgwSExIQEw8QEBD/yQALCAABAAEBAREA/8wABgAQEAX/2gAIAQEAAD8A0s8g/9k=", "base64");
+
+const parseSandboxRequestBody = (data) => {
+  if (typeof data !== "string") return data || {};
+  try {
+    return JSON.parse(data);
+  } catch {
+    return Object.fromEntries(new URLSearchParams(data));
+  }
+};
+
+// จับคู่ด้วย host + path ของ URL ที่ระบบเรียกจริง
+const sandboxHttpHandlers = {
+  "GET maps.googleapis.com/maps/api/place/textsearch/json": ({ params }) => {
+    const name = params.query.replace(/\s*ภาคเหนือ Thailand$/, "");
+    return { status: "OK", results: [createSandboxPlace(name, { type: params.type })] };
+  },
+  "GET maps.googleapis.com/maps/api/place/details/json": ({ params }) => ({
+    status: "OK",
+    result: {
+      ...createSandboxPlace(`สถานที่ ${params.place_id}`),
+      website: "https://example.com/sandbox",
+      url: `https://maps.google.com/?cid=${params.place_id}`,
+      opening_hours: { weekday_text: ["ทุกวัน: 08:00–17:00"] },
+    },
+  }),
+  "GET maps.googleapis.com/maps/api/place/nearbysearch/json": ({ params }) => {
+    const [latitude, longitude] = params.location.split(",").map(Number);
+    return {
+      status: "OK",
+      results: [1, 2, 3].map(index => ({
+        ...createSandboxPlace(`Sandbox ${params.keyword ? `${params.keyword} ` : ""}${params.type} ${index}`, { near: { latitude, longitude }, type: params.type }),
+        price_level: Math.min(Math.max(index, Number(params.minprice ?? 0)), Number(params.maxprice ?? 4)),
+      })),
+    };
+  },
+  "GET www.googleapis.com/customsearch/v1": ({ params }) => ({
+    items: [1, 2].map(index => ({
+      title: `${params.q} (${index})`,
+      link: `https://example.com/sandbox/${hashText(params.q).slice(0, 8)}/${index}`,
+      snippet: `ผลค้นหาทดสอบสำหรับ ${params.q}`,
+    })),
+  }),
+  "POST vision.googleapis.com/v1/images:annotate": () => ({
+    responses: [{
+      landmarkAnnotations: [{ description: "Wat Phra That Doi Suthep", score: 0.91, locations: [{ latLng: { latitude: 18.8049, longitude: 98.9216 } }] }],
+      labelAnnotations: ["Temple", "Landmark", "Architecture"].map(description => ({ description })),
+    }],
+  }),
+  "GET api-data.line.me/v2/bot/message/:id/content": () => SANDBOX_IMAGE,
+  "POST api.line.me/v2/bot/chat/loading/start": () => ({}),
+  // โปรไฟล์ทดสอบไม่มี language เพื่อให้ภาษาของผู้ใช้มาจากการตรวจข้อความแรก
+  "GET api.line.me/v2/bot/profile/:id": () => ({ displayName: "Sandbox User" }),
+  "POST api.line.me/v2/bot/message/reply": ({ body }) => {
+    recordSandboxMessage({ kind: "reply", replyToken: body.replyToken, messages: body.messages });
+    return {};
+  },
+  "POST api.line.me/v2/bot/message/push": ({ body }) => {
+    recordSandboxMessage({ kind: "push", to: body.to, messages: body.messages });
+    sandboxPushCount += 1;
+    return {};
+  },
+  "GET api.line.me/v2/bot/message/quota": () => ({ type: "limited", value: SANDBOX_PUSH_QUOTA }),
+  "GET api.line.me/v2/bot/message/quota/consumption": () => ({ totalUsage: sandboxPushCount }),
+  // ใน sandbox ID token ของ LIFF คือ userId ที่ต้องการใช้ทดสอบ
+  "POST api.line.me/oauth2/v2.1/verify": ({ body }) => ({ sub: body.id_token, aud: body.client_id }),
+};
+
+const findSandboxHandler = (method, url) => {
+  const requestKey = `${method.toUpperCase()} ${url.host}${url.pathname}`;
+  const handlerKey = Object.keys(sandboxHttpHandlers).find(key => {
+    const pattern = new RegExp(`^${key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/:id/g, "[^/]+")}$`);
+    return pattern.test(requestKey);
+  });
+  return handlerKey ? sandboxHttpHandlers[handlerKey] : null;
+};
+
+// แทน adapter ของ axios ทั้งโปรเซส ทุกคำขอ HTTP ต้องมีตัวแทนใน sandboxHttpHandlers ไม่มีการเรียกเครือข่ายจริง
+const sandboxAxiosAdapter = async (config) => {
+  const url = new URL(config.url, config.baseURL);
+  const handler = findSandboxHandler(config.method, url);
+  if (!handler) {
+    throw new Error(`Sandbox has no stand-in for ${config.method.toUpperCase()} ${url.host}${url.pathname}`);
   }
+  const params = { ...Object.fromEntries(url.searchParams), ...config.params };
+  const data = await handler({ params, body: parseSandboxRequestBody(config.data) });
+  return { data, status: 200, statusText: "OK", headers: {}, config, request: {} };
+};
+
+// ภาษาไทยตรวจจากตัวอักษร ส่วนการแปลจะเติมรหัสภาษาปลายทางไว้หน้าข้อความเพื่อให้ตรวจผลได้ง่าย
+const sandboxTranslateClient = {
+  detect: async (text) => [{ language: /[\u0E00-\u0E7F]/.test(text) ? "th" : "en", confidence: 1 }],
+  translate: async (text, targetLang) => [`[${targetLang}] ${text}`],
 };
-ensureTempFolder();
+
+if (SANDBOX_MODE) axios.defaults.adapter = sandboxAxiosAdapter;
 
 const keyPath = process.env.GOOGLE_APPLICATION_CREDENTIALS || path.resolve(__dirname, "./config/vertex-ai-key.json");
 const auth = new GoogleAuth({ keyFilename: keyPath, scopes: "https://www.googleapis.com/auth/cloud-platform" });
-const translate = new v2.Translate({ keyFilename: keyPath });
+const translate = SANDBOX_MODE ? sandboxTranslateClient : new v2.Translate({ keyFilename: keyPath });
 
 const GOOGLE_PLACES_API_KEY = process.env.GOOGLE_PLACES_API_KEY;
 const GOOGLE_VISION_API_KEY = process.env.GOOGLE_VISION_API_KEY;
 const LINE_ACCESS_TOKEN = process.env.LINE_ACCESS_TOKEN;
+const LINE_CHANNEL_SECRET = process.env.LINE_CHANNEL_SECRET;
+const LINE_LOGIN_CHANNEL_ID = process.env.LINE_LOGIN_CHANNEL_ID;
+const APP_SIGNING_SECRET = process.env.APP_SIGNING_SECRET || process.env.LINE_CHANNEL_SECRET;
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "https://tripster-bot.onrender.com").replace(/\/$/, "");
 const GOOGLE_CUSTOM_SEARCH_API_KEY = process.env.GOOGLE_CUSTOM_SEARCH_API_KEY;
 const GOOGLE_CUSTOM_SEARCH_ENGINE_ID = process.env.GOOGLE_CUSTOM_SEARCH_ENGINE_ID;
 
-const modelName = process.env.GEMINI_MODEL || "gemini-2.0-flash-001";
-console.log(`🚀 Tripster ใช้โมเดล: ${modelName}`);
+const northernProvinces = ["เชียงใหม่", "เชียงราย", "ลำปาง", "ลำพูน", "แม่ฮ่องสอน", "น่าน", "พะเยา", "แพร่", "อุตรดิตถ์"];
+
+// ชื่อจังหวัดในภาษาอื่นและพิกัดศูนย์กลางจังหวัด ใช้กับคำสั่งคุณภาพอากาศ
+const northernProvinceInfo = {
+  "เชียงใหม่": { en: "Chiang Mai", zh: "清迈", ja: "チェンマイ", ko: "치앙마이", latitude: 18.7883, longitude: 98.9853 },
+  "เชียงราย": { en: "Chiang Rai", zh: "清莱", ja: "チェンライ", ko: "치앙라이", latitude: 19.9105, longitude: 99.8406 },
+  "ลำปาง": { en: "Lampang", zh: "南邦", ja: "ランパーン", ko: "람빵", latitude: 18.2888, longitude: 99.4909 },
+  "ลำพูน": { en: "Lamphun", zh: "南奔", ja: "ランプーン", ko: "람푼", latitude: 18.5745, longitude: 99.0087 },
+  "แม่ฮ่องสอน": { en: "Mae Hong Son", zh: "夜丰颂", ja: "メーホンソーン", ko: "매홍손", latitude: 19.302, longitude: 97.9654 },
+  "น่าน": { en: "Nan", zh: "难府", ja: "ナーン", ko: "난주", latitude: 18.7756, longitude: 100.773 },
+  "พะเยา": { en: "Phayao", zh: "帕尧", ja: "パヤオ", ko: "파야오", latitude: 19.1665, longitude: 99.9019 },
+  "แพร่": { en: "Phrae", zh: "帕府", ja: "プレー", ko: "프래", latitude: 18.1446, longitude: 100.1403 },
+  "อุตรดิตถ์": { en: "Uttaradit", zh: "程逸", ja: "ウッタラディット", ko: "우따라딧", latitude: 17.6201, longitude: 100.0993 },
+};
+
+const findNorthernProvince = (text) => {
+  const lowerText = (text || "").toLowerCase();
+  return northernProvinces.find(province => {
+    const { en, zh, ja, ko } = northernProvinceInfo[province];
+    return [province, en.toLowerCase(), zh, ja, ko].some(name => lowerText.includes(name));
+  }) || null;
+};
+
+// ภาษาที่บอทตอบได้ ข้อความทั้งหมดอยู่ใน locales/<code>.json โดยใช้ key แบบจุด เช่น "card.address"
+// placesLanguage: ค่า language ที่ส่งให้ Google Places, promptName: ชื่อภาษาที่ใช้สั่ง LLM, aliases: ชื่อที่พิมพ์เลือกภาษาได้
+const LANGUAGES = {
+  th: { name: "ภาษาไทย", placesLanguage: "th", dateLocale: "th-TH", promptName: "Thai", aliases: ["ไทย", "thai"] },
+  en: { name: "English", placesLanguage: "en", dateLocale: "en-GB", promptName: "English", aliases: ["อังกฤษ", "english", "英语", "英語", "영어"] },
+  zh: { name: "中文", placesLanguage: "zh-CN", dateLocale: "zh-CN", promptName: "Simplified Chinese", aliases: ["จีน", "chinese", "汉语", "中国語", "중국어"] },
+  ja: { name: "日本語", placesLanguage: "ja", dateLocale: "ja-JP", promptName: "Japanese", aliases: ["ญี่ปุ่น", "japanese", "日语", "일본어"] },
+  ko: { name: "한국어", placesLanguage: "ko", dateLocale: "ko-KR", promptName: "Korean", aliases: ["เกาหลี", "korean", "韩语", "韓国語"] },
+};
+const DEFAULT_LANGUAGE = "th";
+
+// bundle ภาษาไทยเป็นต้นฉบับ ภาษาอื่นที่ยังแปลไม่ครบจะแจ้งเตือนตอนเริ่มระบบ
+const localeBundles = Object.fromEntries(Object.keys(LANGUAGES).map(lang => [
+  lang,
+  JSON.parse(fs.readFileSync(path.join(__dirname, "locales", `${lang}.json`), "utf8")),
+]));
+for (const lang of Object.keys(LANGUAGES)) {
+  const missingKeys = Object.keys(localeBundles[DEFAULT_LANGUAGE]).filter(key => !(key in localeBundles[lang]));
+  if (missingKeys.length > 0) console.warn(`⚠️ Locale ${lang} is missing ${missingKeys.length} keys: ${missingKeys.slice(0, 5).join(", ")}`);
+}
+
+const hasLocaleKey = (key) => key in localeBundles[DEFAULT_LANGUAGE];
+
+// ข้อความตาม key ในภาษาที่ต้องการ แทน {name} ด้วยค่าใน params หากไม่มี key จะใช้ภาษาอังกฤษแล้วภาษาไทยแทน
+const t = (lang, key, params = {}) => {
+  const template = [lang, "en", DEFAULT_LANGUAGE].map(code => localeBundles[code]?.[key]).find(value => value !== undefined);
+  if (template === undefined) {
+    console.warn(`⚠️ Missing locale key: ${key}`);
+    return key;
+  }
+  if (Array.isArray(template)) return template;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+};
+
+// แปลงรหัสภาษา เช่น "en-US" หรือ "zh-Hant" เป็นภาษาที่รองรับ คืน null หากไม่รองรับ
+const normalizeLanguage = (code) => {
+  const base = typeof code === "string" ? code.toLowerCase().split(/[-_]/)[0] : "";
+  return LANGUAGES[base] ? base : null;
+};
+
+const getProvinceName = (province, lang) => (lang === "th" ? province : northernProvinceInfo[province]?.[lang] || province);
+
+const vertexLocation = process.env.VERTEX_LOCATION || "us-central1";
+let vertexAuthClient = null;
 
+// client ของ google-auth-library cache token ไว้ภายในและต่ออายุให้เองเมื่อใกล้หมดอายุ
 const getAccessToken = async () => {
   try {
-    const client = await auth.getClient();
-    const token = await client.getAccessToken();
+    if (!vertexAuthClient) vertexAuthClient = await auth.getClient();
+    const token = await vertexAuthClient.getAccessToken();
     return token.token;
   } catch (error) {
     console.error("❌ Error fetching Vertex AI token:", error.message);
@@ -87,54 +588,455 @@ const getAccessToken = async () => {
   }
 };
 
-const getAIResponse = async (userId, userMessage, previousMessages = []) => {
-  const accessToken = await getAccessToken();
-  if (!accessToken) return "ระบบขัดข้อง กรุณาลองใหม่ภายหลัง";
+class LLMProviderError extends Error {
+  constructor(message, { status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "LLMProviderError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
 
-  try {
-    const userDocRef = doc(db, "chatHistory", userId);
-    const userDoc = await getDoc(userDocRef);
-    let chatHistory = previousMessages;
-
-    if (userDoc.exists()) {
-      chatHistory = userDoc.data().messages || [];
-      if (chatHistory.length > 10) {
-        chatHistory = chatHistory.slice(-10);
-      }
+const toLLMProviderError = (error, providerName) => {
+  if (error instanceof LLMProviderError) return error;
+  const status = error.response?.status || null;
+  const retryAfter = Number(error.response?.headers?.["retry-after"]);
+  const detail = error.response?.data?.error?.message || error.message;
+  return new LLMProviderError(`${providerName}: ${detail}`, {
+    status: error.code === "ECONNABORTED" ? 408 : status,
+    retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null,
+  });
+};
+
+// ทุก provider รับ contents ในรูปแบบของ Gemini ({ role: "user" | "model", parts: [{ text } | { inlineData: { mimeType, data } }] })
+// พร้อม systemInstruction แยกจากบทสนทนา และคืน { text, usage: { promptTokens, completionTokens, totalTokens } }
+const vertexLLMProvider = {
+  name: "vertex",
+  defaultModel: process.env.GEMINI_MODEL || "gemini-2.0-flash-001",
+  generate: async ({ model, contents, systemInstruction, responseSchema, timeoutMs }) => {
+    const accessToken = await getAccessToken();
+    if (!accessToken) throw new LLMProviderError("vertex: missing access token");
+
+    try {
+      const response = await axios.post(
+        `https://${vertexLocation}-aiplatform.googleapis.com/v1/projects/${process.env.PROJECT_ID}/locations/${vertexLocation}/publishers/google/models/${model}:generateContent`,
+        {
+          contents,
+          ...(systemInstruction ? { systemInstruction: { parts: [{ text: systemInstruction }] } } : {}),
+          ...(responseSchema ? { generationConfig: { responseMimeType: "application/json", responseSchema } } : {}),
+        },
+        { headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" }, timeout: timeoutMs }
+      );
+      const usage = response.data?.usageMetadata || {};
+      return {
+        text: response.data?.candidates?.[0]?.content?.parts?.[0]?.text || "",
+        usage: {
+          promptTokens: usage.promptTokenCount || 0,
+          completionTokens: usage.candidatesTokenCount || 0,
+          totalTokens: usage.totalTokenCount || 0,
+        },
+      };
+    } catch (error) {
+      throw toLLMProviderError(error, "vertex");
     }
+  },
+};
 
-    const tonePrompt = `
-    คุณคือ Tripster เป็นผู้ชาย, ผู้ช่วยด้านการท่องเที่ยวภาคเหนือของประเทศไทย.
-    ตอบให้สั้น เข้าใจง่าย ใช้ภาษาสุภาพ เหมาะกับทุกเพศทุกวัย และตอบตามข้อเท็จจริง.
-    ใช้ประวัติการสนทนาก่อนหน้าเพื่อปรับคำแนะนำตามความชอบของผู้ใช้.
-    หากไม่มีข้อมูลเพียงพอ ให้แนะนำสถานที่ยอดนิยมในภาคเหนือของประเทศไทยและแจ้งว่าเป็นข้อมูลทั่วไป.
-  `;
+const openAICompatibleLLMProvider = {
+  name: "openai",
+  defaultModel: process.env.OPENAI_MODEL || "gpt-4o-mini",
+  generate: async ({ model, contents, systemInstruction, responseSchema, timeoutMs }) => {
+    // ข้อความที่มีรูปภาพต้องส่ง content เป็น array ของ text และ image_url (data URL)
+    const messages = contents.map(content => ({
+      role: content.role === "model" ? "assistant" : "user",
+      content: content.parts.some(part => part.inlineData)
+        ? content.parts.map(part => (part.inlineData
+          ? { type: "image_url", image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` } }
+          : { type: "text", text: part.text }))
+        : content.parts.map(part => part.text).join("\n"),
+    }));
+    if (responseSchema) {
+      // endpoint ที่เข้ากันได้กับ OpenAI ส่วนใหญ่รองรับแค่ json_object จึงแนบ schema ไปกับคำสั่งแทน
+      messages.unshift({
+        role: "system",
+        content: `ตอบเป็น JSON เท่านั้น ตาม schema นี้ (ชนิดข้อมูลเขียนแบบ OpenAPI): ${JSON.stringify(responseSchema)}`,
+      });
+    }
+    if (systemInstruction) messages.unshift({ role: "system", content: systemInstruction });
+
+    try {
+      const response = await axios.post(
+        `${(process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/$/, "")}/chat/completions`,
+        {
+          model,
+          messages,
+          ...(responseSchema ? { response_format: { type: "json_object" } } : {}),
+        },
+        { headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}`, "Content-Type": "application/json" }, timeout: timeoutMs }
+      );
+      const usage = response.data?.usage || {};
+      return {
+        text: response.data?.choices?.[0]?.message?.content || "",
+        usage: {
+          promptTokens: usage.prompt_tokens || 0,
+          completionTokens: usage.completion_tokens || 0,
+          totalTokens: usage.total_tokens || 0,
+        },
+      };
+    } catch (error) {
+      throw toLLMProviderError(error, "openai");
+    }
+  },
+};
+
+// สร้างค่าตัวอย่างที่ตรงกับ schema เพื่อให้ mock provider ตอบแบบ structured ได้
+const buildMockValueFromSchema = (schema, key = "value") => {
+  if (schema.enum) return schema.enum[0];
+  switch (schema.type) {
+    case "OBJECT":
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([property, propertySchema]) => [property, buildMockValueFromSchema(propertySchema, property)])
+      );
+    case "ARRAY":
+      return [buildMockValueFromSchema(schema.items, key)];
+    case "NUMBER":
+    case "INTEGER":
+      return 1;
+    case "BOOLEAN":
+      return false;
+    default:
+      return `mock ${key}`;
+  }
+};
+
+// ตอบแบบ deterministic โดยไม่เรียกเครือข่าย ใช้สำหรับพัฒนาแบบออฟไลน์และ CI
+const mockLLMProvider = {
+  name: "mock",
+  defaultModel: "mock",
+  generate: async ({ model, contents, responseSchema }) => {
+    const lastText = contents[contents.length - 1]?.parts?.map(part => part.text).join("\n") || "";
+    const question = lastText.split("คำถามของผู้ใช้:").pop().trim();
+    const text = responseSchema
+      ? JSON.stringify(buildMockValueFromSchema(responseSchema))
+      : `[${model}] ${question.slice(0, 200)}`;
+    const promptTokens = Math.ceil(contents.reduce((sum, content) => sum + JSON.stringify(content).length, 0) / 4);
+    const completionTokens = Math.ceil(text.length / 4);
+    return { text, usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens } };
+  },
+};
+
+const llmProviders = {
+  [vertexLLMProvider.name]: vertexLLMProvider,
+  [openAICompatibleLLMProvider.name]: openAICompatibleLLMProvider,
+  [mockLLMProvider.name]: mockLLMProvider,
+};
+const llmProvider = llmProviders[process.env.LLM_PROVIDER || "vertex"];
+if (!llmProvider) {
+  console.error(`❌ Unknown LLM_PROVIDER: ${process.env.LLM_PROVIDER} (ใช้ได้: ${Object.keys(llmProviders).join(", ")})`);
+  process.exit(1);
+}
+const llmProviderEnvVars = { vertex: ["PROJECT_ID"], openai: ["OPENAI_API_KEY"], mock: [] };
+for (const envVar of llmProviderEnvVars[llmProvider.name]) {
+  if (!process.env[envVar]) {
+    console.error(`❌ Missing environment variable: ${envVar}`);
+    process.exit(1);
+  }
+}
+
+// เลือกโมเดลและ timeout แยกตามงาน งานวางแผนใช้เวลาตอบนานกว่าแชตทั่วไป
+const llmFeatures = {
+  chat: { model: process.env.LLM_MODEL_CHAT, timeoutMs: 20000 },
+  itinerary: { model: process.env.LLM_MODEL_ITINERARY, timeoutMs: 45000 },
+  summarization: { model: process.env.LLM_MODEL_SUMMARY, timeoutMs: 20000 },
+  intent: { model: process.env.LLM_MODEL_INTENT, timeoutMs: 10000 },
+  vision: { model: process.env.LLM_MODEL_VISION, timeoutMs: 30000 },
+};
+for (const [feature, config] of Object.entries(llmFeatures)) {
+  config.model = config.model || llmProvider.defaultModel;
+  console.log(`🚀 Tripster ใช้โมเดล (${llmProvider.name}/${feature}): ${config.model}`);
+}
+
+const LLM_MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES ?? 2);
+const LLM_RETRY_BASE_DELAY_MS = 500;
+
+const llmUsage = {};
+const recordLLMUsage = (feature, model, usage) => {
+  const key = `${llmProvider.name}/${model}/${feature}`;
+  const totals = llmUsage[key] || (llmUsage[key] = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+  totals.calls += 1;
+  totals.promptTokens += usage.promptTokens;
+  totals.completionTokens += usage.completionTokens;
+  totals.totalTokens += usage.totalTokens;
+  console.log(`📊 LLM usage ${key}: +${usage.totalTokens} tokens (รวม ${totals.totalTokens} tokens จาก ${totals.calls} ครั้ง)`);
+};
+
+const isRetryableLLMError = (error) => error.status === 408 || error.status === 429 || (error.status >= 500 && error.status < 600);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// เรียก provider ที่ตั้งค่าไว้ พร้อม timeout และ retry แบบ exponential backoff เมื่อเจอ 429/5xx
+const generateWithLLM = async (feature, contents, { systemInstruction = null, responseSchema = null, timeoutMs = null } = {}) => {
+  const config = llmFeatures[feature] || llmFeatures.chat;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await llmProvider.generate({
+        model: config.model,
+        contents,
+        systemInstruction,
+        responseSchema,
+        timeoutMs: timeoutMs || config.timeoutMs,
+      });
+      recordLLMUsage(feature, config.model, result.usage);
+      return result;
+    } catch (error) {
+      const llmError = toLLMProviderError(error, llmProvider.name);
+      if (attempt >= LLM_MAX_RETRIES || !isRetryableLLMError(llmError)) throw llmError;
+      const delay = llmError.retryAfterMs ?? LLM_RETRY_BASE_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * 250);
+      console.warn(`⚠️ LLM ${feature} failed (${llmError.status}), retrying in ${delay}ms (${attempt + 1}/${LLM_MAX_RETRIES})`);
+      await sleep(delay);
+    }
+  }
+};
+
+const MEMORY_WINDOW_MESSAGES = 10;
+const MEMORY_SUMMARIZE_AT_MESSAGES = 20;
+const MEMORY_SESSION_TTL_HOURS = Number(process.env.MEMORY_SESSION_TTL_HOURS) || 72;
+
+const emptyConversation = () => ({ messages: [], summary: "" });
+
+// โหลดบทสนทนาของห้องแชต (userId ในแชตส่วนตัว, groupId/roomId ในกลุ่ม) เซสชันที่ไม่มีการใช้งานเกิน MEMORY_SESSION_TTL_HOURS จะเริ่มใหม่
+const loadConversation = async (chatId) => {
+  const data = await chatHistoryRepository.get(chatId);
+  if (!data) return emptyConversation();
+
+  const lastUpdated = data.lastUpdated || null;
+  if (lastUpdated && Date.now() - lastUpdated.getTime() > MEMORY_SESSION_TTL_HOURS * 60 * 60 * 1000) {
+    console.log(`🕰️ Chat session ${chatId} expired (last active ${lastUpdated.toISOString()})`);
+    return emptyConversation();
+  }
+  // ข้อความรูปแบบเดิมเก็บ tonePrompt รวมไว้ในข้อความผู้ใช้ ตัดออกให้เหลือเฉพาะคำถาม
+  const messages = (data.messages || []).map(message => {
+    const text = message.parts?.[0]?.text || "";
+    return message.role === "user" && text.includes("คำถามของผู้ใช้: ")
+      ? { role: "user", parts: [{ text: text.split("คำถามของผู้ใช้: ").pop() }] }
+      : message;
+  });
+  return { messages, summary: data.summary || "" };
+};
+
+const summarizeConversation = async (previousSummary, messages) => {
+  const transcript = messages
+    .map(message => `${message.role === "model" ? "Tripster" : "ผู้ใช้"}: ${message.parts.map(part => part.text).join(" ")}`)
+    .join("\n");
+  const prompt = `สรุปบทสนทนาระหว่างผู้ใช้กับ Tripster ให้สั้นไม่เกิน 5 บรรทัด
+เก็บเฉพาะข้อมูลที่ช่วยแนะนำครั้งต่อไป เช่น จุดหมาย ความชอบ งบประมาณ ผู้ร่วมเดินทาง วันที่เดินทาง และสิ่งที่ผู้ใช้ไม่ชอบ
+${previousSummary ? `สรุปเดิม:\n${previousSummary}\n` : ""}บทสนทนาใหม่:
+${transcript}`;
+
+  try {
+    const { text } = await generateWithLLM("summarization", [{ role: "user", parts: [{ text: prompt }] }]);
+    return text.trim() || previousSummary;
+  } catch (error) {
+    console.warn("⚠️ Conversation summarization failed, keeping previous summary:", error.message);
+    return previousSummary;
+  }
+};
+
+// บันทึกทั้ง array แทน arrayUnion เพื่อไม่ให้ข้อความที่ซ้ำกันหายไป เมื่อยาวเกินกำหนดจะสรุปข้อความเก่าเก็บไว้ใน summary
+const saveConversationTurns = async (chatId, conversation, newMessages) => {
+  let messages = [...conversation.messages, ...newMessages];
+  let summary = conversation.summary;
+
+  if (messages.length > MEMORY_SUMMARIZE_AT_MESSAGES) {
+    let cutIndex = messages.length - MEMORY_WINDOW_MESSAGES;
+    // ให้หน้าต่างบทสนทนาเริ่มด้วยข้อความของผู้ใช้เสมอ
+    while (cutIndex < messages.length && messages[cutIndex].role !== "user") cutIndex++;
+    summary = await summarizeConversation(summary, messages.slice(0, cutIndex));
+    messages = messages.slice(cutIndex);
+  }
+
+  await chatHistoryRepository.save(chatId, { messages, summary });
+};
+
+const resetConversation = async (chatId) => {
+  await chatHistoryRepository.clear(chatId);
+  console.log(`🧹 Cleared conversation memory for chat ${chatId}`);
+};
+
+const tonePrompt = `
+คุณคือ Tripster เป็นผู้ชาย, ผู้ช่วยด้านการท่องเที่ยวภาคเหนือของประเทศไทย.
+ตอบให้สั้น เข้าใจง่าย ใช้ภาษาสุภาพ เหมาะกับทุกเพศทุกวัย และตอบตามข้อเท็จจริง.
+ใช้ประวัติการสนทนาก่อนหน้าเพื่อปรับคำแนะนำตามความชอบของผู้ใช้.
+หากไม่มีข้อมูลเพียงพอ ให้แนะนำสถานที่ยอดนิยมในภาคเหนือของประเทศไทยและแจ้งว่าเป็นข้อมูลทั่วไป.
+`;
+
+// responseSchema: หากระบุ จะขอให้โมเดลตอบเป็น JSON ตาม schema (ข้อความที่คืนกลับยังเป็น string ต้อง parse เอง)
+// feature: เลือกโมเดลและ timeout ตาม llmFeatures, language: ภาษาที่ให้โมเดลตอบ
+// chatId: ห้องแชตที่ใช้เก็บความจำของบทสนทนา (userId ในแชตส่วนตัว)
+// media: รูปภาพ { mimeType, data } ที่ส่งให้โมเดลพร้อมข้อความ (ประวัติสนทนาเก็บเฉพาะข้อความ)
+const getAIResponse = async (chatId, userMessage, previousMessages = [], { responseSchema = null, feature = "chat", language = DEFAULT_LANGUAGE, media = null } = {}) => {
+  try {
+    const conversation = await loadConversation(chatId);
+    if (conversation.messages.length === 0 && previousMessages.length > 0) conversation.messages = previousMessages;
 
-    const messages = [
-      ...chatHistory,
-      { role: "user", parts: [{ text: `${tonePrompt}\n\nคำถามของผู้ใช้: ${userMessage}` }] },
+    const userTurn = { role: "user", parts: [{ text: userMessage }] };
+    const contents = [
+      ...conversation.messages.slice(-MEMORY_WINDOW_MESSAGES),
+      media ? { ...userTurn, parts: [...userTurn.parts, { inlineData: media }] } : userTurn,
     ];
+    while (contents[0].role !== "user") contents.shift();
 
-    const response = await axios.post(
-      `https://us-central1-aiplatform.googleapis.com/v1/projects/${process.env.PROJECT_ID}/locations/us-central1/publishers/google/models/${modelName}:generateContent`,
-      { contents: messages },
-      { headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" } }
-    );
+    const languageInstruction = `ตอบเป็นภาษา ${LANGUAGES[language].promptName} เสมอ ยกเว้นชื่อเฉพาะที่ต้องค้นหาใน Google Maps`;
+    const systemInstruction = conversation.summary
+      ? `${tonePrompt}\n${languageInstruction}\nสรุปบทสนทนาก่อนหน้ากับผู้ใช้คนนี้:\n${conversation.summary}`
+      : `${tonePrompt}\n${languageInstruction}`;
 
-    const aiResponse = response.data?.candidates?.[0]?.content?.parts?.[0]?.text || "ขออภัย ฉันไม่สามารถให้ข้อมูลได้";
+    const { text } = await generateWithLLM(feature, contents, { systemInstruction, responseSchema });
+    const aiResponse = text || t(language, "common.noAnswer");
 
-    await setDoc(userDocRef, {
-      messages: arrayUnion(...messages, { role: "model", parts: [{ text: aiResponse }] }),
-      lastUpdated: new Date(),
-    }, { merge: true });
+    await saveConversationTurns(chatId, conversation, [userTurn, { role: "model", parts: [{ text: aiResponse }] }]);
 
     return aiResponse;
   } catch (error) {
-    console.error("❌ Vertex AI error:", error.response?.data || error.message);
-    return "ระบบมีปัญหา กรุณาลองใหม่";
+    console.error(`❌ LLM error (${llmProvider.name}):`, error.message);
+    return t(language, "common.llmError");
+  }
+};
+
+// ชื่อหมวดหมู่แต่ละภาษาอยู่ใน locale key "category.<หมวดหมู่>"
+const PLACE_CATEGORIES = ["nature", "culture", "temple", "adventure", "cafe", "market", "viewpoint", "other"];
+
+const PLACE_RECOMMENDATION_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    reply: { type: "STRING", description: "ข้อความตอบผู้ใช้แบบสั้น ไม่ต้องมีรายการสถานที่" },
+    places: {
+      type: "ARRAY",
+      description: "สถานที่ท่องเที่ยวจริงที่แนะนำ ใส่เฉพาะเมื่อผู้ใช้ต้องการคำแนะนำสถานที่ หากไม่ใช่ให้เป็น array ว่าง",
+      items: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING", description: "ชื่อสถานที่ที่ค้นหาใน Google Maps ได้" },
+          province: { type: "STRING", description: "จังหวัดที่ตั้ง" },
+          category: { type: "STRING", enum: PLACE_CATEGORIES },
+          reason: { type: "STRING", description: "เหตุผลที่แนะนำ ไม่เกิน 1 ประโยค" },
+        },
+        required: ["name", "province", "category", "reason"],
+      },
+    },
+  },
+  required: ["reply", "places"],
+};
+
+// ตรวจผลลัพธ์ JSON จากโมเดล คืน null หากโครงสร้างไม่ถูกต้อง
+const parsePlaceRecommendations = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    console.warn("⚠️ Model did not return valid JSON:", text);
+    return null;
+  }
+  if (!data || typeof data.reply !== "string" || !Array.isArray(data.places)) {
+    console.warn("⚠️ Model JSON does not match place schema:", text);
+    return null;
+  }
+
+  const places = data.places
+    .filter(place => place && typeof place.name === "string" && place.name.trim())
+    .map(place => ({
+      name: place.name.trim().slice(0, 100),
+      province: typeof place.province === "string" ? place.province.trim().slice(0, 50) : "",
+      category: PLACE_CATEGORIES.includes(place.category) ? place.category : "other",
+      reason: typeof place.reason === "string" ? place.reason.trim().slice(0, 200) : "",
+    }));
+  return { reply: data.reply.trim(), places };
+};
+
+const getAIPlaceRecommendations = async (chatId, prompt, language = DEFAULT_LANGUAGE) => {
+  const aiResponse = await getAIResponse(chatId, prompt, [], { responseSchema: PLACE_RECOMMENDATION_SCHEMA, language });
+  const recommendations = parsePlaceRecommendations(aiResponse);
+  if (recommendations) return recommendations;
+  // โมเดลตอบไม่ตรง schema: ไม่สร้างการ์ดสถานที่ และใช้ข้อความเดิมเป็นคำตอบหากไม่ใช่ JSON ที่ไม่สมบูรณ์
+  return { reply: aiResponse.trim().startsWith("{") ? t(language, "common.noAnswer") : aiResponse, places: [] };
+};
+
+// แคชผลลัพธ์จาก API ภายนอก 2 ชั้น: ในหน่วยความจำ (node-cache) และ storage backend ที่เลือกไว้ผ่าน cacheRepository (เปิดด้วย API_CACHE_PERSISTENT=true)
+// TTL แยกตาม API: ตำแหน่งสถานที่เปลี่ยนไม่บ่อย ส่วนผลค้นหาเว็บเปลี่ยนเร็วกว่า
+const HOUR_SECONDS = 60 * 60;
+const apiCacheTtls = {
+  places: 7 * 24 * HOUR_SECONDS,
+  placeDetails: 24 * HOUR_SECONDS,
+  nearby: 24 * HOUR_SECONDS,
+  customSearch: 6 * HOUR_SECONDS,
+  translateDetect: 7 * 24 * HOUR_SECONDS,
+  translate: 30 * 24 * HOUR_SECONDS,
+};
+const API_CACHE_PERSISTENT = process.env.API_CACHE_PERSISTENT === "true";
+const apiCache = new NodeCache({ maxKeys: Number(process.env.API_CACHE_MAX_KEYS) || 2000, checkperiod: 600 });
+const apiCacheMetrics = Object.fromEntries(
+  Object.keys(apiCacheTtls).map(namespace => [namespace, { memoryHits: 0, persistentHits: 0, misses: 0 }])
+);
+const apiSecrets = [GOOGLE_PLACES_API_KEY, GOOGLE_VISION_API_KEY, GOOGLE_CUSTOM_SEARCH_API_KEY, LINE_ACCESS_TOKEN].filter(Boolean);
+
+const setMemoryCache = (key, value, ttlSeconds) => {
+  try {
+    apiCache.set(key, value, ttlSeconds);
+  } catch (error) {
+    if (error.name !== "ECACHEFULL") throw error;
+    // แคชเต็ม: ลบรายการที่ใกล้หมดอายุที่สุดก่อน
+    const [oldestKey] = apiCache.keys().sort((a, b) => apiCache.getTtl(a) - apiCache.getTtl(b));
+    apiCache.del(oldestKey);
+    apiCache.set(key, value, ttlSeconds);
+  }
+};
+
+// key สร้างจากค่าที่ใช้ค้นหาเท่านั้น (ไม่ใช่ params ที่มี API key) และ hash ไว้เพื่อใช้เป็น document id ได้
+const withApiCache = async (namespace, keyParts, loader) => {
+  const key = `${namespace}:${crypto.createHash("sha256").update(JSON.stringify(keyParts)).digest("hex").slice(0, 40)}`;
+  const metrics = apiCacheMetrics[namespace];
+
+  const memoryValue = apiCache.get(key);
+  if (memoryValue !== undefined) {
+    metrics.memoryHits++;
+    return memoryValue;
+  }
+
+  if (API_CACHE_PERSISTENT) {
+    try {
+      const entry = await cacheRepository.get(key);
+      if (entry) {
+        const value = JSON.parse(entry.value);
+        setMemoryCache(key, value, Math.ceil((entry.expiresAt.getTime() - Date.now()) / 1000));
+        metrics.persistentHits++;
+        return value;
+      }
+    } catch (error) {
+      console.warn(`⚠️ Persistent cache read failed (${namespace}):`, error.message);
+    }
+  }
+
+  metrics.misses++;
+  const value = await loader();
+  if (value === null || value === undefined) return value;
+
+  const serialized = JSON.stringify(value);
+  if (apiSecrets.some(secret => serialized.includes(secret))) {
+    console.error(`❌ Refusing to cache ${namespace} entry that contains an API credential`);
+    return value;
+  }
+
+  const ttlSeconds = apiCacheTtls[namespace];
+  setMemoryCache(key, value, ttlSeconds);
+  if (API_CACHE_PERSISTENT) {
+    cacheRepository.set(key, { namespace, value: serialized, expiresAt: new Date(Date.now() + ttlSeconds * 1000) })
+      .catch(error => console.warn(`⚠️ Persistent cache write failed (${namespace}):`, error.message));
   }
+  return value;
 };
 
+const hashText = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
 const translateText = async (text, targetLang = null) => {
   if (typeof text !== "string") {
     console.error(`❌ translateText: Input text is not a string: ${JSON.stringify(text)}`);
@@ -142,11 +1044,16 @@ const translateText = async (text, targetLang = null) => {
   }
 
   try {
-    const [detection] = await translate.detect(text);
-    const sourceLang = detection.language;
+    const sourceLang = await withApiCache("translateDetect", [hashText(text)], async () => {
+      const [detection] = await translate.detect(text);
+      return detection.language;
+    });
     if (!targetLang || targetLang === sourceLang) return { text, lang: sourceLang };
 
-    const [translation] = await translate.translate(text, targetLang);
+    const translation = await withApiCache("translate", [targetLang, hashText(text)], async () => {
+      const [translated] = await translate.translate(text, targetLang);
+      return translated;
+    });
     return { text: translation, lang: targetLang };
   } catch (error) {
     console.error("❌ Translation error:", error.message);
@@ -154,137 +1061,150 @@ const translateText = async (text, targetLang = null) => {
   }
 };
 
-const getLocationFromGooglePlaces = async (placeName, type = "tourist_attraction") => {
+// language: ภาษาของชื่อและที่อยู่ที่ Google Places คืนกลับมา
+const getLocationFromGooglePlaces = async (placeName, { type = "tourist_attraction", language = DEFAULT_LANGUAGE } = {}) => {
   const cleanPlaceName = placeName.trim().replace(/\*\*/g, "").split(":")[0];
-  const northernProvinces = ["เชียงใหม่", "เชียงราย", "ลำปาง", "ลำพูน", "แม่ฮ่องสอน", "น่าน", "พะเยา", "แพร่", "อุตรดิตถ์"];
   const isNorthern = northernProvinces.some(province => cleanPlaceName.toLowerCase().includes(province.toLowerCase()));
   const searchQuery = isNorthern ? cleanPlaceName : `${cleanPlaceName} ภาคเหนือ Thailand`;
   console.log(`🔍 Searching Google Places for: ${searchQuery}`);
 
   try {
-    const endpoint = "https://maps.googleapis.com/maps/api/place/textsearch/json";
-    const params = {
-      query: searchQuery,
-      fields: "place_id,geometry,formatted_address,name,photos,rating,user_ratings_total",
-      key: GOOGLE_PLACES_API_KEY,
-      type: type,
-    };
+    return await withApiCache("places", [searchQuery, type, language], async () => {
+      const endpoint = "https://maps.googleapis.com/maps/api/place/textsearch/json";
+      const params = {
+        query: searchQuery,
+        fields: "place_id,geometry,formatted_address,name,photos,rating,user_ratings_total,price_level",
+        key: GOOGLE_PLACES_API_KEY,
+        type: type,
+        language: LANGUAGES[language].placesLanguage,
+      };
+
+      const response = await axios.get(endpoint, { params });
+
+      const candidates = response.data.results;
 
-    const response = await axios.get(endpoint, { params });
+      if (candidates && candidates.length > 0) {
+        const filteredCandidates = candidates
+          .filter(candidate => candidate.geometry)
+          .sort((a, b) => (b.rating || 0) - (a.rating || 0) || (b.user_ratings_total || 0) - (a.user_ratings_total || 0));
 
-    const candidates = response.data.results;
+        if (filteredCandidates.length > 0) {
+          const place = filteredCandidates[0];
+          const photoReference = place.photos && place.photos[0] ? place.photos[0].photo_reference : null;
+          console.log(`✅ Found location from Google: ${place.name} (Rating: ${place.rating || "N/A"}, Reviews: ${place.user_ratings_total || "N/A"})`);
+          return {
+            placeId: place.place_id,
+            name: place.name,
+            latitude: place.geometry.location.lat,
+            longitude: place.geometry.location.lng,
+            address: place.formatted_address || t(language, "card.noAddress"),
+            photoReference: photoReference,
+            rating: place.rating || "N/A",
+            userRatingsTotal: place.user_ratings_total || 0,
+            priceLevel: place.price_level ?? null,
+          };
+        }
+      }
+      console.warn(`⚠️ No valid location found for: ${searchQuery}`);
+      return null;
+    });
+  } catch (error) {
+    console.error("❌ Google Places API error:", error.response?.data?.error_message || error.message);
+    return null;
+  }
+};
 
-    if (candidates && candidates.length > 0) {
-      const filteredCandidates = candidates
-        .filter(candidate => candidate.geometry)
-        .sort((a, b) => (b.rating || 0) - (a.rating || 0) || (b.user_ratings_total || 0) - (a.user_ratings_total || 0));
+const getPlaceDetails = async (placeId, language = DEFAULT_LANGUAGE) => {
+  try {
+    return await withApiCache("placeDetails", [placeId, language], async () => {
+      const response = await axios.get("https://maps.googleapis.com/maps/api/place/details/json", {
+        params: {
+          place_id: placeId,
+          fields: "name,formatted_address,geometry,photo,rating,user_ratings_total,types,website,url,opening_hours",
+          key: GOOGLE_PLACES_API_KEY,
+          language: LANGUAGES[language].placesLanguage,
+        },
+      });
 
-      if (filteredCandidates.length > 0) {
-        const place = filteredCandidates[0];
+      if (response.data.result) {
+        const place = response.data.result;
         const photoReference = place.photos && place.photos[0] ? place.photos[0].photo_reference : null;
-        console.log(`✅ Found location from Google: ${place.name} (Rating: ${place.rating || "N/A"}, Reviews: ${place.user_ratings_total || "N/A"})`);
         return {
-          placeId: place.place_id,
+          placeId,
           name: place.name,
-          latitude: place.geometry.location.lat,
-          longitude: place.geometry.location.lng,
-          address: place.formatted_address || "ไม่มีข้อมูลที่อยู่",
+          address: place.formatted_address,
+          latitude: place.geometry?.location?.lat ?? null,
+          longitude: place.geometry?.location?.lng ?? null,
           photoReference: photoReference,
-          rating: place.rating || "N/A",
-          userRatingsTotal: place.user_ratings_total || 0,
+          rating: place.rating,
+          userRatingsTotal: place.user_ratings_total,
+          types: place.types,
+          website: place.website,
+          url: place.url,
+          openingHours: place.opening_hours?.weekday_text || t(language, "common.noData"),
         };
       }
-    }
-    console.warn(`⚠️ No valid location found for: ${searchQuery}`);
-    return null;
+      return null;
+    });
   } catch (error) {
-    console.error("❌ Google Places API error:", error.response?.data?.error_message || error.message);
+    console.error("❌ Place Details API error:", error.response?.data?.error_message || error.message);
     return null;
   }
 };
 
-const getPlaceDetails = async (placeId) => {
-  try {
-    const response = await axios.get("https://maps.googleapis.com/maps/api/place/details/json", {
-      params: {
-        place_id: placeId,
-        fields: "name,formatted_address,photo,rating,user_ratings_total,types,website,url,opening_hours",
-        key: GOOGLE_PLACES_API_KEY,
-      },
-    });
-
-    if (response.data.result) {
-      const place = response.data.result;
-      const photoReference = place.photos && place.photos[0] ? place.photos[0].photo_reference : null;
-      return {
-        name: place.name,
-        address: place.formatted_address,
-        photoReference: photoReference,
-        rating: place.rating,
-        userRatingsTotal: place.user_ratings_total,
-        types: place.types,
-        website: place.website,
-        url: place.url,
-        openingHours: place.opening_hours?.weekday_text || "ไม่มีข้อมูล",
-      };
-    }
-    return null;
-  } catch (error) {
-    console.error("❌ Place Details API error:", error.response?.data?.error_message || error.message);
-    return null;
-  }
-};
-
-const searchPlaceWithCustomSearch = async (placeName, context = "สถานที่ท่องเที่ยว") => {
+const searchPlaceWithCustomSearch = async (placeName, context = "สถานที่ท่องเที่ยว") => {
   try {
     let query = `${placeName} ${context} ภาคเหนือ ประเทศไทย`;
     if (context === "โรงแรม") {
       query = `${placeName} โรงแรม รีวิว ประเทศไทย`;
     }
 
-    console.log(`🔍 Custom Search Query: ${query}`);
-    const response = await axios.get("https://www.googleapis.com/customsearch/v1", {
-      params: {
-        key: GOOGLE_CUSTOM_SEARCH_API_KEY,
-        cx: GOOGLE_CUSTOM_SEARCH_ENGINE_ID,
-        q: query,
-        num: 3,
-        lr: "lang_th",
-        cr: "countryTH",
-      },
-    });
+    return await withApiCache("customSearch", [query, placeName, context], async () => {
+      console.log(`🔍 Custom Search Query: ${query}`);
+      const response = await axios.get("https://www.googleapis.com/customsearch/v1", {
+        params: {
+          key: GOOGLE_CUSTOM_SEARCH_API_KEY,
+          cx: GOOGLE_CUSTOM_SEARCH_ENGINE_ID,
+          q: query,
+          num: 3,
+          lr: "lang_th",
+          cr: "countryTH",
+        },
+      });
 
-    if (response.data.items && response.data.items.length > 0) {
-      const results = response.data.items
-        .filter(item => {
-          const text = `${item.title} ${item.snippet}`.toLowerCase();
-          return text.includes(placeName.toLowerCase()) && (context === "โรงแรม" ? text.includes("โรงแรม") : true);
-        })
-        .map(item => ({
-          title: item.title,
-          link: item.link,
-          snippet: item.snippet,
-        }));
-      console.log(`✅ Found ${results.length} search results for ${placeName} (${context}):`, results.map(r => r.title));
-      return results;
-    }
-    console.warn(`⚠️ No search results found for ${placeName} (${context})`);
-    return [];
+      if (response.data.items && response.data.items.length > 0) {
+        const results = response.data.items
+          .filter(item => {
+            const text = `${item.title} ${item.snippet}`.toLowerCase();
+            return text.includes(placeName.toLowerCase()) && (context === "โรงแรม" ? text.includes("โรงแรม") : true);
+          })
+          .map(item => ({
+            title: item.title,
+            link: item.link,
+            snippet: item.snippet,
+          }));
+        console.log(`✅ Found ${results.length} search results for ${placeName} (${context}):`, results.map(r => r.title));
+        return results;
+      }
+      console.warn(`⚠️ No search results found for ${placeName} (${context})`);
+      return [];
+    });
   } catch (error) {
     console.error("❌ Custom Search API error:", error.response?.data?.error_message || error.message);
     return [];
   }
 };
 
-const getHotelsNearPlace = async (placeName) => {
-  let searchLocation = await getLocationFromGooglePlaces(placeName);
+// location: ระบุพิกัดเองได้ (เช่น จุดสุดท้ายของวัน) เพื่อไม่ต้องค้นหาตำแหน่งจากชื่อซ้ำ
+const getHotelsNearPlace = async (placeName, { location = null, radius = 20000, language = DEFAULT_LANGUAGE } = {}) => {
+  let searchLocation = location || await getLocationFromGooglePlaces(placeName, { language });
 
   if (!searchLocation) {
     console.warn(`⚠️ No location found for ${placeName}, using default: Chiang Mai, Thailand`);
-    searchLocation = await getLocationFromGooglePlaces("Chiang Mai, Thailand");
+    searchLocation = await getLocationFromGooglePlaces("Chiang Mai, Thailand", { language });
     if (!searchLocation) {
       console.warn(`⚠️ No location found for Chiang Mai, using Bangkok, Thailand`);
-      searchLocation = await getLocationFromGooglePlaces("Bangkok, Thailand");
+      searchLocation = await getLocationFromGooglePlaces("Bangkok, Thailand", { language });
     }
   }
 
@@ -296,37 +1216,360 @@ const getHotelsNearPlace = async (placeName) => {
     };
   }
 
+  const hotels = await searchNearbyPlaces(searchLocation, { type: "lodging", radius, language, limit: 3 });
+  console.log(`✅ Found ${hotels.length} hotels near ${placeName}:`, hotels.map(h => h.name));
+  return hotels;
+};
+
+// ค้นหาสถานที่ประเภท type (ของ Google Places) รอบพิกัด เรียงตามคะแนนรีวิว พร้อมระยะทางจากจุดค้นหา (กิโลเมตร)
+// keyword, minPrice/maxPrice (ระดับราคา 0-4) และ openNow เป็นตัวกรองเพิ่มเติมของ Nearby Search
+const searchNearbyPlaces = async (location, { type, radius = 20000, language = DEFAULT_LANGUAGE, limit = 10, keyword = null, minPrice = null, maxPrice = null, openNow = false }) => {
   try {
-    const response = await axios.get("https://maps.googleapis.com/maps/api/place/nearbysearch/json", {
-      params: {
-        location: `${searchLocation.latitude},${searchLocation.longitude}`,
-        radius: 20000,
-        type: "lodging",
-        key: GOOGLE_PLACES_API_KEY,
-      },
-    });
+    // ปัดพิกัดเพื่อให้จุดที่ใกล้กันมาก ๆ ใช้แคชร่วมกันได้ ส่วนผลของ "เปิดอยู่ตอนนี้" ใช้ซ้ำได้เฉพาะในชั่วโมงเดียวกัน
+    const filters = [keyword, minPrice, maxPrice, openNow ? new Date().toISOString().slice(0, 13) : null];
+    const places = await withApiCache("nearby", [type, location.latitude.toFixed(4), location.longitude.toFixed(4), radius, language, ...filters], async () => {
+      const response = await axios.get("https://maps.googleapis.com/maps/api/place/nearbysearch/json", {
+        params: {
+          location: `${location.latitude},${location.longitude}`,
+          radius,
+          type,
+          keyword: keyword ?? undefined,
+          minprice: minPrice ?? undefined,
+          maxprice: maxPrice ?? undefined,
+          opennow: openNow || undefined,
+          key: GOOGLE_PLACES_API_KEY,
+          language: LANGUAGES[language].placesLanguage,
+        },
+      });
 
-    const hotels = response.data.results
-      .filter(hotel => hotel.geometry)
-      .sort((a, b) => (b.rating || 0) - (a.rating || 0) || (b.user_ratings_total || 0) - (a.user_ratings_total || 0))
-      .slice(0, 3)
-      .map(hotel => ({
-        name: hotel.name,
-        address: hotel.vicinity || "ไม่มีข้อมูลที่อยู่",
-        photoReference: hotel.photos && hotel.photos[0] ? hotel.photos[0].photo_reference : null,
-        latitude: hotel.geometry?.location?.lat || null,
-        longitude: hotel.geometry?.location?.lng || null,
-        rating: hotel.rating || "N/A",
-        userRatingsTotal: hotel.user_ratings_total || 0,
-      }));
-    console.log(`✅ Found ${hotels.length} hotels near ${placeName}:`, hotels.map(h => h.name));
-    return hotels;
+      return response.data.results
+        .filter(place => place.geometry)
+        .sort((a, b) => (b.rating || 0) - (a.rating || 0) || (b.user_ratings_total || 0) - (a.user_ratings_total || 0))
+        .map(place => ({
+          placeId: place.place_id,
+          name: place.name,
+          address: place.vicinity || t(language, "card.noAddress"),
+          photoReference: place.photos && place.photos[0] ? place.photos[0].photo_reference : null,
+          latitude: place.geometry?.location?.lat || null,
+          longitude: place.geometry?.location?.lng || null,
+          rating: place.rating || "N/A",
+          userRatingsTotal: place.user_ratings_total || 0,
+          priceLevel: place.price_level ?? null,
+        }));
+    });
+    return places.slice(0, limit).map(place => ({ ...place, distanceKm: Math.round(getDistanceKm(location, place) * 10) / 10 }));
   } catch (error) {
     console.error("❌ Nearby Search API error:", error.response?.data?.error_message || error.message);
     return [];
   }
 };
 
+// ร้านอาหารและคาเฟ่รอบพิกัดตามตัวกรองของ restaurantQuery (ระบุประเภทอาหารแล้วค้นเฉพาะร้านอาหาร)
+const searchRestaurants = async (location, { cuisine = null, price = null, openNow = false, radius = 5000, language = DEFAULT_LANGUAGE } = {}) => {
+  const filters = {
+    radius,
+    language,
+    keyword: cuisine ? RESTAURANT_CUISINES[cuisine].keyword : null,
+    minPrice: price ? RESTAURANT_PRICES[price].minPrice : null,
+    maxPrice: price ? RESTAURANT_PRICES[price].maxPrice : null,
+    openNow,
+  };
+  const types = cuisine ? ["restaurant"] : ["restaurant", "cafe"];
+  const results = (await Promise.all(types.map(type => searchNearbyPlaces(location, { ...filters, type })))).flat();
+  return results
+    .filter((place, index) => results.findIndex(item => item.placeId === place.placeId) === index)
+    .sort((a, b) => (Number(b.rating) || 0) - (Number(a.rating) || 0) || b.userRatingsTotal - a.userRatingsTotal)
+    .slice(0, 10);
+};
+
+// ข้อความของแต่ละรหัสอยู่ใน locale key "weather.code.<รหัส>"
+const WEATHER_CODE_ICONS = {
+  0: "☀️",
+  1: "🌤️",
+  2: "⛅",
+  3: "☁️",
+  45: "🌫️",
+  48: "🌫️",
+  51: "🌦️",
+  53: "🌦️",
+  55: "🌧️",
+  61: "🌦️",
+  63: "🌧️",
+  65: "🌧️",
+  80: "🌦️",
+  81: "🌧️",
+  82: "⛈️",
+  95: "⛈️",
+  96: "⛈️",
+  99: "⛈️",
+};
+
+const describeWeatherCode = (code, lang = DEFAULT_LANGUAGE) => (WEATHER_CODE_ICONS[code]
+  ? { text: t(lang, `weather.code.${code}`), icon: WEATHER_CODE_ICONS[code] }
+  : { text: t(lang, "weather.code.unknown"), icon: "🌡️" });
+
+// วันที่รูปแบบ YYYY-MM-DD ตามเวลาประเทศไทย
+const toDateKey = (date) => new Date(date).toLocaleDateString("en-CA", { timeZone: "Asia/Bangkok" });
+
+// ป้ายวันที่แบบสั้น เช่น "ศ. 25 ธ.ค." ของวันที่ YYYY-MM-DD ต้องระบุ timeZone เพราะเซิร์ฟเวอร์ที่ใช้ UTC จะแสดงเป็นวันก่อนหน้า
+const formatDayLabel = (dateKey, lang) => new Date(`${dateKey}T00:00:00+07:00`).toLocaleDateString(LANGUAGES[lang].dateLocale, {
+  timeZone: "Asia/Bangkok", weekday: "short", day: "numeric", month: "short",
+});
+
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+};
+
+// Open-Meteo พยากรณ์ล่วงหน้าได้สูงสุด 16 วัน
+const WEATHER_FORECAST_HORIZON_DAYS = 16;
+
+const openMeteoWeatherProvider = {
+  name: "open-meteo",
+  getForecast: async ({ latitude, longitude, startDate, endDate }) => {
+    const params = {
+      latitude,
+      longitude,
+      current: "temperature_2m,relative_humidity_2m,weather_code,wind_speed_10m",
+      timezone: "Asia/Bangkok",
+    };
+    if (startDate && endDate) {
+      params.daily = "weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max";
+      params.start_date = startDate;
+      params.end_date = endDate;
+    }
+
+    const response = await axios.get("https://api.open-meteo.com/v1/forecast", { params, timeout: 5000 });
+    const { current, daily } = response.data;
+    return {
+      current: {
+        temperature: current.temperature_2m,
+        humidity: current.relative_humidity_2m,
+        windSpeed: current.wind_speed_10m,
+        weatherCode: current.weather_code,
+      },
+      daily: (daily?.time || []).map((date, index) => ({
+        date,
+        weatherCode: daily.weather_code[index],
+        tempMax: daily.temperature_2m_max[index],
+        tempMin: daily.temperature_2m_min[index],
+        precipitationProbability: daily.precipitation_probability_max[index],
+      })),
+    };
+  },
+};
+
+// ค่าเฉลี่ยภูมิอากาศรายเดือนของภาคเหนือ ใช้กับ stub provider เมื่อทำงานแบบออฟไลน์
+const NORTHERN_CLIMATE_NORMALS = [
+  { tempMax: 29, tempMin: 14, rain: 5 },
+  { tempMax: 32, tempMin: 15, rain: 5 },
+  { tempMax: 35, tempMin: 18, rain: 10 },
+  { tempMax: 36, tempMin: 22, rain: 30 },
+  { tempMax: 34, tempMin: 23, rain: 60 },
+  { tempMax: 32, tempMin: 23, rain: 65 },
+  { tempMax: 31, tempMin: 23, rain: 70 },
+  { tempMax: 31, tempMin: 23, rain: 75 },
+  { tempMax: 31, tempMin: 22, rain: 70 },
+  { tempMax: 31, tempMin: 21, rain: 45 },
+  { tempMax: 30, tempMin: 18, rain: 15 },
+  { tempMax: 28, tempMin: 15, rain: 5 },
+];
+
+const stubWeatherProvider = {
+  name: "stub",
+  getForecast: async ({ latitude, longitude, startDate, endDate }) => {
+    const seed = (dateKey) => Math.abs(Math.round((latitude + longitude) * 100) + Number(dateKey.replace(/-/g, "")) * 7);
+    const forecastDay = (dateKey) => {
+      const normal = NORTHERN_CLIMATE_NORMALS[Number(dateKey.split("-")[1]) - 1];
+      const variation = (seed(dateKey) % 5) - 2;
+      const precipitationProbability = Math.min(100, Math.max(0, normal.rain + variation * 5));
+      return {
+        date: dateKey,
+        weatherCode: precipitationProbability >= 60 ? 63 : precipitationProbability >= 30 ? 3 : 1,
+        tempMax: normal.tempMax + variation,
+        tempMin: normal.tempMin + variation,
+        precipitationProbability,
+      };
+    };
+
+    const today = forecastDay(toDateKey(new Date()));
+    const daily = [];
+    if (startDate && endDate) {
+      for (let dateKey = startDate; dateKey <= endDate; dateKey = addDays(dateKey, 1)) {
+        daily.push(forecastDay(dateKey));
+      }
+    }
+    return {
+      current: {
+        temperature: Math.round((today.tempMax + today.tempMin) / 2),
+        humidity: 50 + Math.round(today.precipitationProbability / 3),
+        windSpeed: 5 + (seed(today.date) % 10),
+        weatherCode: today.weatherCode,
+      },
+      daily,
+    };
+  },
+};
+
+const weatherProviders = {
+  [openMeteoWeatherProvider.name]: openMeteoWeatherProvider,
+  [stubWeatherProvider.name]: stubWeatherProvider,
+};
+const weatherProvider = weatherProviders[process.env.WEATHER_PROVIDER || "open-meteo"];
+if (!weatherProvider) {
+  console.error(`❌ Unknown WEATHER_PROVIDER: ${process.env.WEATHER_PROVIDER} (ใช้ได้: ${Object.keys(weatherProviders).join(", ")})`);
+  process.exit(1);
+}
+console.log(`🌤️ Tripster ใช้ข้อมูลสภาพอากาศจาก: ${weatherProvider.name}`);
+
+const getWeatherForecast = async (latitude, longitude, { startDate = null, endDate = null, days = 5 } = {}) => {
+  const today = toDateKey(new Date());
+  const horizon = addDays(today, WEATHER_FORECAST_HORIZON_DAYS - 1);
+  const rangeStart = startDate ? toDateKey(startDate) : today;
+  const rangeEnd = endDate ? toDateKey(endDate) : addDays(rangeStart, days - 1);
+
+  // ตัดช่วงวันที่ให้อยู่ในระยะที่พยากรณ์ได้ วันที่อยู่นอกช่วงจะไม่มีข้อมูลรายวัน
+  const clippedStart = rangeStart < today ? today : rangeStart;
+  const clippedEnd = rangeEnd > horizon ? horizon : rangeEnd;
+  const hasDailyRange = clippedStart <= clippedEnd;
+
+  try {
+    const forecast = await weatherProvider.getForecast({
+      latitude,
+      longitude,
+      startDate: hasDailyRange ? clippedStart : null,
+      endDate: hasDailyRange ? clippedEnd : null,
+    });
+    console.log(`✅ Weather forecast (${weatherProvider.name}) for ${latitude},${longitude}: ${forecast.daily.length} days`);
+    return { ...forecast, requestedStart: rangeStart, requestedEnd: rangeEnd };
+  } catch (error) {
+    console.error("❌ Weather API error:", error.response?.data?.reason || error.message);
+    return null;
+  }
+};
+
+const formatForecastForPrompt = (forecast) => {
+  if (!forecast || forecast.daily.length === 0) {
+    return "ยังไม่มีข้อมูลพยากรณ์อากาศสำหรับช่วงวันที่เดินทาง ให้แนะนำตามสภาพอากาศตามฤดูกาล";
+  }
+  return forecast.daily
+    .map(day => `${day.date}: ${describeWeatherCode(day.weatherCode).text} ${day.tempMin}-${day.tempMax}°C โอกาสฝน ${day.precipitationProbability ?? "N/A"}%`)
+    .join("\n      ");
+};
+
+// ระดับดัชนีคุณภาพอากาศ (US AQI) ชื่อระดับและคำแนะนำด้านสุขภาพอยู่ใน locale key "aqi.level.<key>" และ "aqi.advice.<key>"
+const AQI_LEVELS = [
+  { max: 50, key: "good", color: "#00B050" },
+  { max: 100, key: "moderate", color: "#E6B800" },
+  { max: 150, key: "sensitive", color: "#FF7E00" },
+  { max: 200, key: "unhealthy", color: "#E00000" },
+  { max: 300, key: "veryUnhealthy", color: "#8F3F97" },
+  { max: Infinity, key: "hazardous", color: "#7E0023" },
+];
+
+const AQI_ALERT_DEFAULT_THRESHOLD = Number(process.env.AQI_ALERT_THRESHOLD) || 100;
+const AQI_ALERT_INTERVAL_MINUTES = Number(process.env.AQI_ALERT_INTERVAL_MINUTES) || 60;
+const AQI_ALERT_LOOKAHEAD_DAYS = 7;
+
+const getAqiLevel = (aqi) => AQI_LEVELS.find(level => aqi <= level.max);
+
+const openMeteoAirQualityProvider = {
+  name: "open-meteo",
+  getAirQuality: async ({ latitude, longitude }) => {
+    const response = await axios.get("https://air-quality-api.open-meteo.com/v1/air-quality", {
+      params: { latitude, longitude, current: "pm2_5,us_aqi", timezone: "Asia/Bangkok" },
+      timeout: 5000,
+    });
+    const { current } = response.data;
+    return { pm25: current.pm2_5, aqi: current.us_aqi, observedAt: current.time };
+  },
+};
+
+// ค่าประมาณตามฤดูกาล: ฤดูเผา (ก.พ.-เม.ย.) ฝุ่นสูง ฤดูฝนอากาศดี
+const stubAirQualityProvider = {
+  name: "stub",
+  getAirQuality: async ({ latitude }) => {
+    const month = Number(toDateKey(new Date()).split("-")[1]);
+    const seasonalPm25 = [35, 70, 95, 80, 30, 12, 10, 10, 12, 18, 25, 30][month - 1];
+    // จังหวัดที่อยู่เหนือขึ้นไปมักมีฝุ่นสูงกว่าในฤดูเผา
+    const pm25 = Math.round(seasonalPm25 * (1 + Math.max(0, latitude - 18) * 0.15));
+    const aqi = pm25 <= 12 ? Math.round(pm25 * 50 / 12)
+      : pm25 <= 35.4 ? Math.round(50 + (pm25 - 12) * 50 / 23.4)
+        : pm25 <= 55.4 ? Math.round(100 + (pm25 - 35.4) * 50 / 20)
+          : pm25 <= 150.4 ? Math.round(150 + (pm25 - 55.4) * 50 / 95)
+            : Math.round(200 + (pm25 - 150.4) * 100 / 100);
+    return { pm25, aqi, observedAt: new Date().toISOString() };
+  },
+};
+
+const airQualityProviders = {
+  [openMeteoAirQualityProvider.name]: openMeteoAirQualityProvider,
+  [stubAirQualityProvider.name]: stubAirQualityProvider,
+};
+const airQualityProvider = airQualityProviders[process.env.AIR_QUALITY_PROVIDER || "open-meteo"];
+if (!airQualityProvider) {
+  console.error(`❌ Unknown AIR_QUALITY_PROVIDER: ${process.env.AIR_QUALITY_PROVIDER} (ใช้ได้: ${Object.keys(airQualityProviders).join(", ")})`);
+  process.exit(1);
+}
+console.log(`😷 Tripster ใช้ข้อมูลคุณภาพอากาศจาก: ${airQualityProvider.name}`);
+
+const getAirQuality = async (province) => {
+  const info = northernProvinceInfo[province];
+  if (!info) return null;
+
+  try {
+    const airQuality = await airQualityProvider.getAirQuality({ latitude: info.latitude, longitude: info.longitude });
+    console.log(`✅ Air quality (${airQualityProvider.name}) for ${province}: AQI ${airQuality.aqi}, PM2.5 ${airQuality.pm25}`);
+    return { ...airQuality, province, level: getAqiLevel(airQuality.aqi) };
+  } catch (error) {
+    console.error("❌ Air Quality API error:", error.response?.data?.reason || error.message);
+    return null;
+  }
+};
+
+// ค้นหาสถานที่ที่โมเดลแนะนำใน Google Places และรวมข้อมูลเข้ากับเหตุผล/หมวดหมู่จากโมเดล
+const resolveRecommendedPlaces = async (places, language = DEFAULT_LANGUAGE) => {
+  const locationData = await Promise.all(
+    places.map(place => getLocationFromGooglePlaces(place.province ? `${place.name} ${place.province}` : place.name, { language }))
+  );
+  const seenPlaceIds = new Set();
+  return locationData
+    .map((location, index) => location && { ...location, category: places[index].category, reason: places[index].reason })
+    .filter(place => {
+      if (!place || seenPlaceIds.has(place.placeId)) return false;
+      seenPlaceIds.add(place.placeId);
+      return true;
+    });
+};
+
+// ระยะทางเส้นตรงระหว่างสองพิกัด (กิโลเมตร) ด้วยสูตร haversine
+const getDistanceKm = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// เรียงจุดแวะแบบ nearest neighbour เริ่มจาก origin เพื่อลดระยะเดินทางรวม
+const orderStopsByDistance = (stops, origin) => {
+  const remaining = [...stops];
+  const ordered = [];
+  let current = origin;
+  while (remaining.length > 0) {
+    let nearestIndex = 0;
+    if (current) {
+      remaining.forEach((stop, index) => {
+        if (getDistanceKm(current, stop) < getDistanceKm(current, remaining[nearestIndex])) nearestIndex = index;
+      });
+    }
+    current = remaining.splice(nearestIndex, 1)[0];
+    ordered.push(current);
+  }
+  return ordered;
+};
+
 const getPhotoUrl = (photoReference) => {
   if (!photoReference) return "https://example.com/placeholder.jpg";
   return `https://maps.googleapis.com/maps/api/place/photo?maxwidth=400&photo_reference=${photoReference}&key=${GOOGLE_PLACES_API_KEY}`;
@@ -337,24 +1580,26 @@ const createGoogleMapsUrl = (latitude, longitude, placeName) => {
   return `https://www.google.com/maps/search/?api=1&query=${latitude},${longitude}&query_place=${encodeURIComponent(placeName)}`;
 };
 
+// รูปจาก LINE เก็บไว้ในหน่วยความจำเป็น { mimeType, data (base64) } ซึ่งตรงกับ inlineData ของ Gemini
 const downloadImageFromLine = async (messageId) => {
-  const filePath = path.join(__dirname, `./temp/${messageId}.jpg`);
   try {
     const response = await axios.get(`https://api-data.line.me/v2/bot/message/${messageId}/content`, {
       headers: { Authorization: `Bearer ${LINE_ACCESS_TOKEN}` },
       responseType: "arraybuffer",
     });
-    await promisify(fs.writeFile)(filePath, response.data);
-    return filePath;
+    return {
+      mimeType: response.headers?.["content-type"] || "image/jpeg",
+      data: Buffer.from(response.data).toString("base64"),
+    };
   } catch (error) {
     console.error("❌ Error downloading image from LINE:", error.response?.data?.error_message || error.message);
     return null;
   }
 };
 
-const analyzeImage = async (imagePath) => {
+// คืนชื่อสถานที่สำคัญ (พร้อมพิกัดจาก Vision ถ้ามี) และป้ายกำกับของภาพ
+const analyzeImage = async (imageBase64) => {
   try {
-    const imageBase64 = fs.readFileSync(imagePath, { encoding: "base64" });
     const response = await axios.post(
       `https://vision.googleapis.com/v1/images:annotate?key=${GOOGLE_VISION_API_KEY}`,
       {
@@ -375,9 +1620,12 @@ const analyzeImage = async (imagePath) => {
 
     if (landmarks.length > 0) {
       const landmark = landmarks[0];
+      const latLng = landmark.locations?.[0]?.latLng;
       return {
         landmark: landmark.description,
         confidence: (landmark.score * 100).toFixed(2),
+        latitude: latLng?.latitude ?? null,
+        longitude: latLng?.longitude ?? null,
         labels: labels.length > 0 ? labels : null,
       };
     }
@@ -385,6 +1633,8 @@ const analyzeImage = async (imagePath) => {
     return {
       landmark: null,
       confidence: null,
+      latitude: null,
+      longitude: null,
       labels: labels.length > 0 ? labels : null,
     };
   } catch (error) {
@@ -469,6 +1719,146 @@ const pushToLine = async (userId, message) => {
   }
 };
 
+const getLineProfile = async (userId) => {
+  try {
+    const response = await axios.get(`https://api.line.me/v2/bot/profile/${userId}`, {
+      headers: { Authorization: `Bearer ${LINE_ACCESS_TOKEN}` },
+    });
+    return response.data;
+  } catch (error) {
+    console.warn(`⚠️ Could not fetch LINE profile for user ${userId}:`, error.response?.data?.message || error.message);
+    return null;
+  }
+};
+
+// โควตา push ที่เหลือของเดือนนี้ (Infinity เมื่อแพ็กเกจไม่จำกัด) คืน null เมื่ออ่านค่าจาก LINE ไม่ได้
+const getRemainingPushQuota = async () => {
+  try {
+    const headers = { Authorization: `Bearer ${LINE_ACCESS_TOKEN}` };
+    const [quota, consumption] = await Promise.all([
+      axios.get("https://api.line.me/v2/bot/message/quota", { headers }),
+      axios.get("https://api.line.me/v2/bot/message/quota/consumption", { headers }),
+    ]);
+    if (quota.data.type !== "limited") return Infinity;
+    return Math.max(quota.data.value - consumption.data.totalUsage, 0);
+  } catch (error) {
+    console.warn("⚠️ Could not fetch LINE push quota:", error.response?.data?.message || error.message);
+    return null;
+  }
+};
+
+// ภาษาของผู้ใช้: ค่าที่บันทึกไว้ก่อน หากยังไม่มีใช้ภาษาในโปรไฟล์ LINE แล้วจึงตรวจจากข้อความ
+// บันทึกผลไว้ใน users เพื่อไม่ต้องตรวจภาษาทุกข้อความ ผู้ใช้เปลี่ยนเองได้ด้วยคำสั่ง "ภาษา"
+const getUserLanguage = async (userId, text = "") => {
+  const user = await userRepository.get(userId);
+  const storedLanguage = normalizeLanguage(user?.language);
+  if (storedLanguage) return storedLanguage;
+
+  const profile = await getLineProfile(userId);
+  let language = normalizeLanguage(profile?.language);
+  if (!language && text.trim()) language = normalizeLanguage((await translateText(text)).lang);
+  language = language || DEFAULT_LANGUAGE;
+
+  await userRepository.merge(userId, { language, languageSource: "auto" });
+  console.log(`🌐 Detected language ${language} for user ${userId}`);
+  return language;
+};
+
+// ห้องแชตของ event: chatId คือ groupId/roomId ในกลุ่ม หรือ userId ในแชตส่วนตัว (ในกลุ่ม userId อาจไม่มี)
+const getEventChat = (source) => ({
+  chatId: source.groupId || source.roomId || source.userId,
+  userId: source.userId || null,
+  isGroupChat: source.type === "group" || source.type === "room",
+});
+
+// กลุ่มใช้ภาษาร่วมกันทั้งห้อง ตรวจจากข้อความแรกที่มีเนื้อหาแล้วเก็บไว้
+const getChatLanguage = async (chat, text = "") => {
+  if (!chat.isGroupChat) return getUserLanguage(chat.userId, text);
+
+  const storedLanguage = normalizeLanguage((await groupRepository.get(chat.chatId))?.language);
+  if (storedLanguage) return storedLanguage;
+  if (!text.trim()) return DEFAULT_LANGUAGE;
+
+  const language = normalizeLanguage((await translateText(text)).lang) || DEFAULT_LANGUAGE;
+  await groupRepository.merge(chat.chatId, { language, languageSource: "auto" });
+  console.log(`🌐 Detected language ${language} for chat ${chat.chatId}`);
+  return language;
+};
+
+const saveChatLanguage = async (chat, language) => {
+  const repository = chat.isGroupChat ? groupRepository : userRepository;
+  await repository.merge(chat.chatId, { language, languageSource: "user" });
+  console.log(`🌐 Chat ${chat.chatId} switched language to ${language}`);
+};
+
+// event ที่ถูกส่งซ้ำ (redelivery) อาจมี reply token ที่หมดอายุแล้ว จึงตอบกลับด้วย push แทน
+const replyToEvent = async (event, messages) => {
+  if (event.deliveryContext?.isRedelivery) {
+    console.log(`🔁 Redelivered event ${event.webhookEventId}, replying via push`);
+    return pushToLine(getEventChat(event.source).chatId, messages);
+  }
+  return sendToLine(event.replyToken, messages);
+};
+
+const verifyLineSignature = (rawBody, signature) => {
+  if (!rawBody || !signature) return false;
+  const expected = crypto.createHmac("sha256", LINE_CHANNEL_SECRET).update(rawBody).digest();
+  const received = Buffer.from(signature, "base64");
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+// token แบบเซ็นด้วย HMAC สำหรับลิงก์ที่ส่งให้ผู้ใช้ในแชต (เช่น ลิงก์ดาวน์โหลดข้อมูล) รูปแบบ <payload base64url>.<signature>
+const signPayload = (payload, ttlMs) => {
+  const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + ttlMs })).toString("base64url");
+  const signature = crypto.createHmac("sha256", APP_SIGNING_SECRET).update(body).digest("base64url");
+  return `${body}.${signature}`;
+};
+
+const verifySignedPayload = (token) => {
+  const [body, signature] = (token || "").split(".");
+  if (!body || !signature) return null;
+  const expected = crypto.createHmac("sha256", APP_SIGNING_SECRET).update(body).digest();
+  const received = Buffer.from(signature, "base64url");
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    return payload.exp > Date.now() ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const WEBHOOK_EVENT_RETENTION_DAYS = 7;
+const RECENT_EVENT_WINDOW_MS = 10 * 60 * 1000;
+const recentWebhookEvents = new Map();
+
+// จอง webhookEventId ก่อนประมวลผล คืนค่า false หาก event นี้เคยถูกประมวลผลแล้ว
+const claimWebhookEvent = async (event) => {
+  const eventId = event.webhookEventId;
+  if (!eventId) return true;
+
+  const now = Date.now();
+  for (const [id, receivedAt] of recentWebhookEvents) {
+    if (now - receivedAt > RECENT_EVENT_WINDOW_MS) recentWebhookEvents.delete(id);
+  }
+  if (recentWebhookEvents.has(eventId)) return false;
+  recentWebhookEvents.set(eventId, now);
+
+  try {
+    return await webhookEventRepository.claim(eventId, {
+      type: event.type,
+      isRedelivery: Boolean(event.deliveryContext?.isRedelivery),
+      receivedAt: new Date(now),
+      // ใช้กับ TTL policy ของ Firestore เพื่อลบรายการเก่าอัตโนมัติ
+      expireAt: new Date(now + WEBHOOK_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    console.error(`❌ Error claiming webhook event ${eventId}:`, error.message);
+    return true;
+  }
+};
+
 const validateFlexMessage = (msg) => {
   if (msg.type === "flex") {
     if (!msg.contents || !["bubble", "carousel"].includes(msg.contents.type)) {
@@ -484,32 +1874,60 @@ const validateFlexMessage = (msg) => {
   return true;
 };
 
-const createPlaceFlexMessage = (placeData) => {
-  const photoUrl = getPhotoUrl(placeData.photoReference);
-  const contents = [
-    { type: "text", text: placeData.name, weight: "bold", size: "xl" },
-    { type: "text", text: `ที่อยู่: ${placeData.address}` },
-    { type: "text", text: `เรตติ้ง: ${placeData.rating || "N/A"} (รีวิว: ${placeData.userRatingsTotal || "N/A"})` },
-    { type: "text", text: `ชั่วโมงเปิด/ปิด: ${placeData.openingHours || "ไม่มีข้อมูล"}`, size: "xs", wrap: true },
-  ];
+// ปุ่มของ postback ในการ์ดยังกดได้อีกนานหลังส่ง จึงให้อายุยาวกว่าลิงก์ทั่วไป
+const POSTBACK_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// data ของ postback เซ็นด้วย signPayload เพื่อกันการปลอม action (LINE จำกัด data ไว้ 300 ตัวอักษร จึงใช้ key สั้น)
+const createPostbackAction = (label, action, params = {}) => ({
+  type: "postback",
+  label,
+  data: signPayload({ a: action, ...params }, POSTBACK_TTL_MS),
+  displayText: label,
+});
 
-  const mapUrl = createGoogleMapsUrl(placeData.latitude, placeData.longitude, placeData.name);
+// ปุ่มท้ายการ์ดสถานที่/โรงแรม: เปิดแผนที่ และ postback ดูรายละเอียด โรงแรมใกล้เคียง บันทึก และเพิ่มในทริป
+const createPlaceCardFooter = (place, lang = DEFAULT_LANGUAGE) => {
+  const buttons = [];
+  const mapUrl = createGoogleMapsUrl(place.latitude, place.longitude, place.name);
   if (mapUrl) {
-    contents.push({
+    buttons.push({
       type: "button",
-      action: {
-        type: "uri",
-        label: "ดูในแผนที่",
-        uri: mapUrl,
-      },
+      action: { type: "uri", label: t(lang, "card.viewOnMap"), uri: mapUrl },
       style: "primary",
       color: "#1DB446",
+      height: "sm",
     });
   }
+  if (place.placeId) {
+    const rows = [[["details", "card.details"], ["hotels", "card.nearbyHotels"]], [["save", "card.save"], ["trip", "card.addToTrip"]]];
+    buttons.push(...rows.map(row => ({
+      type: "box",
+      layout: "horizontal",
+      spacing: "sm",
+      contents: row.map(([action, labelKey]) => ({
+        type: "button",
+        action: createPostbackAction(t(lang, labelKey), action, { p: place.placeId }),
+        style: "secondary",
+        height: "sm",
+      })),
+    })));
+  }
+  return buttons.length > 0 ? { type: "box", layout: "vertical", spacing: "sm", contents: buttons } : null;
+};
+
+const createPlaceFlexMessage = (placeData, lang = DEFAULT_LANGUAGE) => {
+  const photoUrl = getPhotoUrl(placeData.photoReference);
+  const contents = [
+    { type: "text", text: placeData.name, weight: "bold", size: "xl" },
+    { type: "text", text: t(lang, "card.address", { address: placeData.address }) },
+    { type: "text", text: t(lang, "card.ratingWithReviews", { rating: placeData.rating || "N/A", reviews: placeData.userRatingsTotal || "N/A" }) },
+    { type: "text", text: t(lang, "card.openingHours", { hours: placeData.openingHours || t(lang, "common.noData") }), size: "xs", wrap: true },
+  ];
+  const footer = createPlaceCardFooter(placeData, lang);
 
   return {
     type: "flex",
-    altText: `ข้อมูลสถานที่: ${placeData.name}`,
+    altText: t(lang, "card.placeAlt", { name: placeData.name }),
     contents: {
       type: "bubble",
       hero: {
@@ -523,23 +1941,104 @@ const createPlaceFlexMessage = (placeData) => {
         layout: "vertical",
         contents: contents,
       },
+      ...(footer ? { footer } : {}),
+    },
+  };
+};
+
+const createWeatherFlexMessage = (placeName, forecast, lang = DEFAULT_LANGUAGE) => {
+  const current = describeWeatherCode(forecast.current.weatherCode, lang);
+  const dailyRows = forecast.daily.map(day => {
+    const weather = describeWeatherCode(day.weatherCode, lang);
+    const dayLabel = formatDayLabel(day.date, lang);
+    return {
+      type: "box",
+      layout: "horizontal",
+      contents: [
+        { type: "text", text: dayLabel, size: "sm", flex: 3 },
+        { type: "text", text: weather.icon, size: "sm", flex: 1, align: "center" },
+        { type: "text", text: `${Math.round(day.tempMin)}°-${Math.round(day.tempMax)}°`, size: "sm", flex: 2, align: "end" },
+        { type: "text", text: `☔ ${day.precipitationProbability ?? "-"}%`, size: "sm", flex: 2, align: "end", color: "#3B82F6" },
+      ],
+    };
+  });
+
+  return {
+    type: "flex",
+    altText: t(lang, "weather.alt", { place: placeName }),
+    contents: {
+      type: "bubble",
+      header: {
+        type: "box",
+        layout: "vertical",
+        backgroundColor: "#1DB446",
+        contents: [
+          { type: "text", text: placeName, weight: "bold", size: "lg", color: "#FFFFFF", wrap: true },
+          { type: "text", text: `${current.icon} ${Math.round(forecast.current.temperature)}°C ${current.text}`, size: "xl", color: "#FFFFFF", wrap: true },
+          { type: "text", text: t(lang, "weather.details", { humidity: forecast.current.humidity, wind: forecast.current.windSpeed }), size: "xs", color: "#FFFFFF" },
+        ],
+      },
+      body: {
+        type: "box",
+        layout: "vertical",
+        spacing: "sm",
+        contents: [
+          { type: "text", text: t(lang, "weather.forecastTitle"), weight: "bold", size: "md" },
+          ...(dailyRows.length > 0
+            ? dailyRows
+            : [{ type: "text", text: t(lang, "weather.noForecast"), size: "sm", wrap: true }]),
+        ],
+      },
     },
   };
 };
 
-const createRecommendationCarousel = async (places) => {
-  const uniquePlaces = [...new Set(places)];
-  const locationDataPromises = uniquePlaces.map(place => getLocationFromGooglePlaces(place));
-  const locationData = (await Promise.all(locationDataPromises)).filter(data => data);
+const createAirQualityFlexMessage = (airQuality, lang = DEFAULT_LANGUAGE) => {
+  const observedAt = new Date(airQuality.observedAt).toLocaleString(LANGUAGES[lang].dateLocale, {
+    timeZone: "Asia/Bangkok", day: "numeric", month: "short", hour: "2-digit", minute: "2-digit",
+  });
+  const province = getProvinceName(airQuality.province, lang);
+  const levelLabel = t(lang, `aqi.level.${airQuality.level.key}`);
+
+  return {
+    type: "flex",
+    altText: t(lang, "aqi.alt", { province, aqi: airQuality.aqi, level: levelLabel }),
+    contents: {
+      type: "bubble",
+      header: {
+        type: "box",
+        layout: "vertical",
+        backgroundColor: airQuality.level.color,
+        contents: [
+          { type: "text", text: t(lang, "aqi.title", { province }), weight: "bold", size: "lg", color: "#FFFFFF", wrap: true },
+          { type: "text", text: `AQI ${airQuality.aqi}`, weight: "bold", size: "3xl", color: "#FFFFFF" },
+          { type: "text", text: levelLabel, size: "md", color: "#FFFFFF" },
+        ],
+      },
+      body: {
+        type: "box",
+        layout: "vertical",
+        spacing: "sm",
+        contents: [
+          { type: "text", text: `PM2.5: ${airQuality.pm25} µg/m³`, weight: "bold", size: "md" },
+          { type: "text", text: t(lang, `aqi.advice.${airQuality.level.key}`), size: "sm", wrap: true },
+          { type: "text", text: t(lang, "aqi.updatedAt", { time: observedAt }), size: "xs", color: "#999999" },
+        ],
+      },
+    },
+  };
+};
 
+// createFooter: ปุ่มท้ายการ์ดแต่ละใบ เช่น ปุ่มโหวตของแผนกลุ่มแทนปุ่มที่ใช้ข้อมูลส่วนตัว
+const createRecommendationCarousel = (locationData, lang = DEFAULT_LANGUAGE, { altText = t(lang, "card.placesAlt"), createFooter = createPlaceCardFooter } = {}) => {
   if (locationData.length === 0) {
     console.warn("⚠️ No valid places found for carousel");
-    return { type: "text", text: "ขออภัย ไม่พบสถานที่ท่องเที่ยวที่แนะนำในขณะนี้" };
+    return { type: "text", text: t(lang, "card.noPlaces") };
   }
 
   const bubbles = locationData.map(place => {
     const photoUrl = getPhotoUrl(place.photoReference);
-    const mapUrl = createGoogleMapsUrl(place.latitude, place.longitude, place.name);
+    const footer = createFooter(place, lang);
 
     return {
       type: "bubble",
@@ -553,36 +2052,21 @@ const createRecommendationCarousel = async (places) => {
         type: "box",
         layout: "vertical",
         contents: [
-          { type: "text", text: place.name, weight: "bold", size: "lg" },
-          { type: "text", text: "สถานที่ท่องเที่ยวยอดนิยม", size: "sm" },
-          { type: "text", text: `ที่อยู่: ${place.address}`, size: "sm", wrap: true },
-          { type: "text", text: `เรตติ้ง: ${place.rating || "N/A"}`, size: "xs" },
+          { type: "text", text: place.name, weight: "bold", size: "lg", wrap: true },
+          ...(place.category ? [{ type: "text", text: t(lang, `category.${PLACE_CATEGORIES.includes(place.category) ? place.category : "other"}`), size: "sm", color: "#1DB446" }] : []),
+          ...(place.reason ? [{ type: "text", text: place.reason, size: "sm", wrap: true }] : []),
+          { type: "text", text: t(lang, "card.address", { address: place.address }), size: "sm", wrap: true },
+          { type: "text", text: t(lang, "card.rating", { rating: place.rating || "N/A" }), size: "xs" },
+          ...(place.distanceKm != null ? [{ type: "text", text: t(lang, "card.distance", { km: place.distanceKm }), size: "xs", color: "#1DB446" }] : []),
         ],
       },
-      ...(mapUrl ? {
-        footer: {
-          type: "box",
-          layout: "vertical",
-          contents: [
-            {
-              type: "button",
-              action: {
-                type: "uri",
-                label: "ดูในแผนที่",
-                uri: mapUrl,
-              },
-              style: "primary",
-              color: "#1DB446",
-            },
-          ],
-        },
-      } : {}),
+      ...(footer ? { footer } : {}),
     };
   });
 
   return {
     type: "flex",
-    altText: "แนะนำที่เที่ยว",
+    altText,
     contents: {
       type: "carousel",
       contents: bubbles,
@@ -590,15 +2074,15 @@ const createRecommendationCarousel = async (places) => {
   };
 };
 
-const createHotelRecommendationCarousel = async (hotels) => {
+const createHotelRecommendationCarousel = async (hotels, lang = DEFAULT_LANGUAGE) => {
   if (!hotels || hotels.length === 0) {
     console.warn("⚠️ No hotels found for carousel");
-    return { type: "text", text: "ขออภัย ไม่พบโรงแรมที่แนะนำในขณะนี้" };
+    return { type: "text", text: t(lang, "card.noHotels") };
   }
 
   const bubbles = hotels.map(hotel => {
     const photoUrl = getPhotoUrl(hotel.photoReference);
-    const mapUrl = (hotel.latitude && hotel.longitude) ? createGoogleMapsUrl(hotel.latitude, hotel.longitude, hotel.name) : null;
+    const footer = createPlaceCardFooter(hotel, lang);
 
     return {
       type: "bubble",
@@ -613,35 +2097,18 @@ const createHotelRecommendationCarousel = async (hotels) => {
         layout: "vertical",
         contents: [
           { type: "text", text: hotel.name, weight: "bold", size: "lg" },
-          { type: "text", text: "โรงแรมแนะนำ", size: "sm" },
-          { type: "text", text: `ที่อยู่: ${hotel.address}`, size: "sm", wrap: true },
-          { type: "text", text: `เรตติ้ง: ${hotel.rating || "N/A"}`, size: "xs" },
+          { type: "text", text: t(lang, "card.recommendedHotel"), size: "sm" },
+          { type: "text", text: t(lang, "card.address", { address: hotel.address }), size: "sm", wrap: true },
+          { type: "text", text: t(lang, "card.rating", { rating: hotel.rating || "N/A" }), size: "xs" },
         ],
       },
-      ...(mapUrl ? {
-        footer: {
-          type: "box",
-          layout: "vertical",
-          contents: [
-            {
-              type: "button",
-              action: {
-                type: "uri",
-                label: "ดูในแผนที่",
-                uri: mapUrl,
-              },
-              style: "primary",
-              color: "#1DB446",
-            },
-          ],
-        },
-      } : {}),
+      ...(footer ? { footer } : {}),
     };
   });
 
   return {
     type: "flex",
-    altText: "แนะนำโรงแรม",
+    altText: t(lang, "card.hotelsAlt"),
     contents: {
       type: "carousel",
       contents: bubbles,
@@ -649,273 +2116,980 @@ const createHotelRecommendationCarousel = async (hotels) => {
   };
 };
 
-const createQuickReply = (lang = "th") => {
-  return {
-    items: [
-      {
-        type: "action",
-        action: {
-          type: "message",
-          label: lang === "th" ? "แนะนำที่เที่ยว" : "Recommend Places",
-          text: "แนะนำที่เที่ยว",
-        },
+const createRestaurantRecommendationCarousel = (restaurants, cuisine = null, lang = DEFAULT_LANGUAGE) => {
+  if (!restaurants || restaurants.length === 0) {
+    console.warn("⚠️ No restaurants found for carousel");
+    return { type: "text", text: t(lang, "card.noRestaurants") };
+  }
+
+  const bubbles = restaurants.map(restaurant => {
+    const photoUrl = getPhotoUrl(restaurant.photoReference);
+    const footer = createPlaceCardFooter(restaurant, lang);
+
+    return {
+      type: "bubble",
+      hero: {
+        type: "image",
+        url: photoUrl,
+        size: "full",
+        aspectRatio: "20:13",
+      },
+      body: {
+        type: "box",
+        layout: "vertical",
+        contents: [
+          { type: "text", text: restaurant.name, weight: "bold", size: "lg", wrap: true },
+          { type: "text", text: cuisine ? t(lang, `restaurants.cuisine.${cuisine}`) : t(lang, "card.recommendedRestaurant"), size: "sm", color: "#1DB446" },
+          { type: "text", text: t(lang, "card.address", { address: restaurant.address }), size: "sm", wrap: true },
+          { type: "text", text: t(lang, "card.rating", { rating: restaurant.rating || "N/A" }), size: "xs" },
+          // ระดับราคาของ Google 0-4 แสดงเป็นจำนวนสัญลักษณ์ ฿ (0 = ฟรีหรือถูกมาก แสดงเป็น ฿)
+          ...(restaurant.priceLevel !== null && restaurant.priceLevel !== undefined
+            ? [{ type: "text", text: t(lang, "card.priceLevel", { price: "฿".repeat(Math.max(restaurant.priceLevel, 1)) }), size: "xs" }]
+            : []),
+        ],
+      },
+      ...(footer ? { footer } : {}),
+    };
+  });
+
+  return {
+    type: "flex",
+    altText: t(lang, "card.restaurantsAlt"),
+    contents: {
+      type: "carousel",
+      contents: bubbles,
+    },
+  };
+};
+
+const createQuickReply = (lang = DEFAULT_LANGUAGE) => {
+  return {
+    items: [
+      {
+        type: "action",
+        action: {
+          type: "message",
+          label: t(lang, "quickReply.places.label"),
+          text: t(lang, "quickReply.places.text"),
+        },
       },
       {
         type: "action",
         action: {
           type: "message",
-          label: lang === "th" ? "แนะนำโรงแรม" : "Recommend Hotels",
-          text: "แนะนำโรงแรม",
+          label: t(lang, "quickReply.hotels.label"),
+          text: t(lang, "quickReply.hotels.text"),
         },
       },
       {
         type: "action",
         action: {
           type: "uri",
-          label: lang === "th" ? "สร้างแผนการเดินทาง" : "Create Travel Plan",
+          label: t(lang, "quickReply.plan.label"),
           uri: "https://liff.line.me/2006885303-nA7agEQN",
         },
       },
+      {
+        type: "action",
+        action: {
+          type: "location",
+          label: t(lang, "quickReply.nearby.label"),
+        },
+      },
     ],
   };
 };
 
-const getAIResponseWithMedia = async (userId, userMessage, replyToken) => {
-  const loadingStarted = await startLoadingAnimation(userId, 5);
-  if (!loadingStarted) console.log("⚠️ Loading Animation failed");
+// ข้อความตอบกลับพร้อม quick reply เมนูหลัก (ข้อความควรอยู่ในภาษาของผู้ใช้แล้ว เช่น มาจาก t())
+const createTextReply = (text, lang) => ({ type: "text", text, quickReply: createQuickReply(lang) });
+
+const getDataSourceNote = (lang) => t(lang, "common.dataSource", {
+  date: new Date().toLocaleDateString(LANGUAGES[lang].dateLocale, { year: "numeric", month: "long", day: "numeric" }),
+}) + "\n";
 
-  const userDocRef = doc(db, "chatHistory", userId);
-  const userDoc = await getDoc(userDocRef);
-  const previousMessages = userDoc.exists() ? userDoc.data().messages || [] : [];
+const THAI_MONTHS = ["ม.ค.", "ก.พ.", "มี.ค.", "เม.ย.", "พ.ค.", "มิ.ย.", "ก.ค.", "ส.ค.", "ก.ย.", "ต.ค.", "พ.ย.", "ธ.ค."];
 
-  let detectedLang = "th";
-  if (typeof userMessage === "string") {
-    const { lang } = await translateText(userMessage);
-    detectedLang = lang;
+// รับ YYYY-MM-DD, D/M/YYYY (ปี พ.ศ. หรือ ค.ศ.), "25 ธ.ค. 2568", วันนี้/พรุ่งนี้/today/tomorrow
+const parseDateArgument = (raw) => {
+  const text = raw.trim().toLowerCase();
+  const today = toDateKey(new Date());
+  if (["วันนี้", "today"].includes(text)) return today;
+  if (["พรุ่งนี้", "tomorrow"].includes(text)) return addDays(today, 1);
+  if (isValidDateKey(text)) return text;
+
+  let day, month, year;
+  const numeric = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  const thai = text.match(/^(\d{1,2})\s*(\S+?)\s*(\d{4})$/);
+  if (numeric) {
+    [, day, month, year] = numeric.map(Number);
+  } else if (thai && THAI_MONTHS.some(name => name.replace(/\./g, "") === thai[2].replace(/\./g, ""))) {
+    day = Number(thai[1]);
+    month = THAI_MONTHS.findIndex(name => name.replace(/\./g, "") === thai[2].replace(/\./g, "")) + 1;
+    year = Number(thai[3]);
+  } else {
+    return null;
   }
+  if (year > 2400) year -= 543;
+  const dateKey = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  return isValidDateKey(dateKey) ? dateKey : null;
+};
 
-  if (typeof userMessage === "object" && userMessage.type === "sticker") {
-    const greetingText = "สวัสดีครับผม Tripster ดีใจที่คุณทักทายมา ลองเลือกคำสั่งด้านล่างเพื่อเริ่มต้นเลยครับ!";
-    const greeting = await translateText(greetingText, detectedLang);
-    console.log(`📤 Preparing sticker response: ${greeting.text}`);
-    return [{
-      type: "text",
-      text: greeting.text || greetingText,
-      quickReply: createQuickReply(detectedLang),
-    }];
+const NORTHERN_REGION_NAMES = ["ภาคเหนือ", "northern", "泰北", "北部", "북부"];
+
+// ตัวกรองของคำสั่งแนะนำร้านอาหาร ชื่อที่แสดงอยู่ใน locale key "restaurants.cuisine.<ชื่อ>" และ "restaurants.price.<ชื่อ>"
+// aliases คือคำที่ผู้ใช้พิมพ์ได้ทุกภาษา (ต้องมีชื่อที่แสดงของทุกภาษาด้วย เพราะ quick reply ส่งชื่อนั้นกลับมา)
+const RESTAURANT_CUISINES = {
+  khaoSoi: { keyword: "khao soi", aliases: ["ข้าวซอย", "khao soi", "khao soy", "泰北咖喱面", "カオソーイ", "카오소이"] },
+  northernThai: { keyword: "northern thai food", aliases: ["อาหารเหนือ", "อาหารพื้นเมือง", "northern thai", "泰北菜", "北タイ料理", "태국 북부 음식"] },
+  vegetarian: { keyword: "vegetarian", aliases: ["มังสวิรัติ", "อาหารเจ", "วีแกน", "vegetarian", "vegan", "素食", "ベジタリアン", "채식"] },
+  halal: { keyword: "halal", aliases: ["ฮาลาล", "halal", "清真", "ハラール", "할랄"] },
+};
+const RESTAURANT_PRICES = {
+  cheap: { minPrice: 0, maxPrice: 1, aliases: ["ราคาประหยัด", "ราคาถูก", "budget", "cheap", "便宜", "安い", "저렴한"] },
+  moderate: { minPrice: 2, maxPrice: 2, aliases: ["ราคากลาง", "mid-range", "moderate", "中等价位", "手頃", "적당한 가격"] },
+  upscale: { minPrice: 3, maxPrice: 4, aliases: ["ราคาแพง", "หรู", "upscale", "fine dining", "expensive", "高档", "高級", "고급"] },
+};
+const DEFAULT_RESTAURANT_PLACE = "เชียงใหม่";
+const OPEN_NOW_ALIASES = ["เปิดอยู่ตอนนี้", "เปิดตอนนี้", "เปิดอยู่", "open now", "营业中", "営業中", "영업 중"];
+
+// ตัดคำแรกใน aliases ที่พบในข้อความออก (ลองคำที่ยาวกว่าก่อน) คืน { found, rest }
+const extractAlias = (text, aliases) => {
+  const lowerText = text.toLowerCase();
+  for (const alias of [...aliases].sort((a, b) => b.length - a.length)) {
+    const index = lowerText.indexOf(alias.toLowerCase());
+    if (index !== -1) return { found: true, rest: `${text.slice(0, index)} ${text.slice(index + alias.length)}` };
+  }
+  return { found: false, rest: text };
+};
+
+// ชนิด argument ของคำสั่ง แต่ละตัวคืน { value } เมื่อแปลงได้ หรือ { error: { key, params } } เป็น locale key ของข้อความที่ตอบผู้ใช้
+const commandArgTypes = {
+  text: (raw) => ({ value: raw }),
+  northernPlace: (raw) => {
+    const lowerText = raw.toLowerCase();
+    return findNorthernProvince(raw) || NORTHERN_REGION_NAMES.some(name => lowerText.includes(name))
+      ? { value: raw }
+      : { error: { key: "common.northernOnly" } };
+  },
+  province: (raw, lang) => {
+    const province = findNorthernProvince(raw);
+    return province
+      ? { value: province }
+      : { error: { key: "args.invalidProvince", params: { provinces: northernProvinces.map(name => getProvinceName(name, lang)).join(", ") } } };
+  },
+  integer: (raw) => {
+    const value = parseInt(raw, 10);
+    return Number.isInteger(value) && value > 0 ? { value } : { error: { key: "args.invalidInteger", params: { value: raw } } };
+  },
+  budget: (raw) => {
+    const match = raw.replace(/[,\s]|บาท|thb|baht/gi, "").match(/^(\d+(?:\.\d+)?)(k|พัน|หมื่น)?$/i);
+    const multiplier = { k: 1000, "พัน": 1000, "หมื่น": 10000 }[match?.[2]?.toLowerCase()] || 1;
+    const value = match ? Math.round(Number(match[1]) * multiplier) : NaN;
+    return value > 0 ? { value } : { error: { key: "args.invalidBudget", params: { value: raw } } };
+  },
+  date: (raw) => {
+    const value = parseDateArgument(raw);
+    return value ? { value } : { error: { key: "args.invalidDate", params: { value: raw } } };
+  },
+  travellers: (raw) => {
+    const value = parseTravellers(raw);
+    return value ? { value } : { error: { key: "args.invalidTravellers", params: { value: raw } } };
+  },
+  // ชื่อสถานที่พร้อมตัวกรองร้านอาหาร เช่น "นิมมาน ข้าวซอย ราคาประหยัด เปิดอยู่"
+  restaurantQuery: (raw) => {
+    let rest = raw;
+    const extract = (aliases) => {
+      const result = extractAlias(rest, aliases);
+      rest = result.rest;
+      return result.found;
+    };
+    const cuisine = Object.keys(RESTAURANT_CUISINES).find(name => extract(RESTAURANT_CUISINES[name].aliases)) || null;
+    const price = Object.keys(RESTAURANT_PRICES).find(name => extract(RESTAURANT_PRICES[name].aliases)) || null;
+    const openNow = extract(OPEN_NOW_ALIASES);
+    const placeName = rest.replace(/\s+/g, " ").trim().replace(/^(?:ใกล้|แถว|(?:near|in|at)(?=\s))\s*/i, "").trim();
+    return { value: { placeName: placeName || DEFAULT_RESTAURANT_PLACE, cuisine, price, openNow } };
+  },
+  id: (raw) => (/^\S+$/.test(raw) ? { value: raw } : { error: { key: "args.invalidId", params: { value: raw } } }),
+  language: (raw) => {
+    const lowerText = raw.toLowerCase();
+    const language = normalizeLanguage(lowerText) || Object.keys(LANGUAGES).find(code =>
+      LANGUAGES[code].name.toLowerCase() === lowerText || LANGUAGES[code].aliases.includes(lowerText)
+    );
+    return language
+      ? { value: language }
+      : { error: { key: "args.invalidLanguage", params: { value: raw, languages: Object.values(LANGUAGES).map(item => item.name).join(", ") } } };
+  },
+};
+
+// คำสั่งทั้งหมดของบอท เพิ่มคำสั่งใหม่ด้วย registerCommand โดยไม่ต้องแก้ getAIResponseWithMedia
+// aliases: คำนำหน้าที่ใช้เรียก (ทุกภาษาที่รองรับ), exact: ต้องพิมพ์ตรงทั้งข้อความ, args: [{ name, type, default, optional, errorKey }]
+// match(text, lang): ใช้แทน aliases เมื่อรูปประโยคซับซ้อน คืน args หรือ null
+// intent: คำอธิบายให้ LLM ใช้จำแนกข้อความอิสระ (ไม่ระบุ = ไม่ให้ LLM เลือกคำสั่งนี้)
+// personal: ใช้ข้อมูลส่วนตัวของผู้ใช้ จึงใช้ได้เฉพาะแชตส่วนตัว ไม่ตอบในกลุ่ม, group: ใช้ได้เฉพาะในกลุ่มหรือห้องแชต
+// handler({ userId, chatId, isGroupChat, text, lang, replyToken }, args)
+// วิธีใช้ คำอธิบาย และตัวอย่างอยู่ใน locale key "command.<name>.usage|description|examples"
+const commands = [];
+
+const registerCommand = (command) => {
+  if (commands.some(existing => existing.name === command.name)) throw new Error(`Duplicate command: ${command.name}`);
+  for (const arg of command.args || []) {
+    if (!commandArgTypes[arg.type]) throw new Error(`Unknown argument type "${arg.type}" in command ${command.name}`);
+  }
+  if (!command.hidden && !hasLocaleKey(`command.${command.name}.usage`)) throw new Error(`Missing help text for command ${command.name}`);
+  commands.push({ aliases: [], args: [], exact: false, personal: false, group: false, ...command });
+};
+
+// แปลงค่าด้วยชนิด argument แล้วคืน { value } หรือ { error } เป็นข้อความในภาษาของผู้ใช้
+const parseArgValue = (type, raw, lang, errorKey = null) => {
+  const parsed = commandArgTypes[type](raw, lang);
+  return parsed.error ? { error: t(lang, errorKey || parsed.error.key, parsed.error.params) } : parsed;
+};
+
+// argument สุดท้ายได้ข้อความที่เหลือทั้งหมด เพื่อให้ชื่อสถานที่ที่มีช่องว่างใช้ได้
+const parseCommandArgs = (command, rest, lang) => {
+  const tokens = rest ? rest.split(/\s+/) : [];
+  const args = {};
+  for (const [index, arg] of command.args.entries()) {
+    const raw = index === command.args.length - 1 ? tokens.slice(index).join(" ") : tokens[index] || "";
+    if (!raw) {
+      if (arg.default !== undefined) {
+        args[arg.name] = typeof arg.default === "function" ? arg.default() : arg.default;
+        continue;
+      }
+      if (arg.optional) continue;
+      return {
+        error: t(lang, "args.missing", {
+          arg: hasLocaleKey(`arg.${arg.name}`) ? t(lang, `arg.${arg.name}`) : arg.name,
+          usage: t(lang, `command.${command.name}.usage`),
+        }),
+      };
+    }
+    const parsed = parseArgValue(arg.type, raw, lang, arg.errorKey);
+    if (parsed.error) return { error: parsed.error };
+    args[arg.name] = parsed.value;
+  }
+  return { args };
+};
+
+// alias ภาษาอังกฤษต้องจบคำ ส่วนภาษาไทย จีน และญี่ปุ่นไม่เว้นวรรคระหว่างคำ จึงให้ argument ต่อท้ายได้ทันที
+const matchCommandAlias = (text) => {
+  const lowerText = text.toLowerCase();
+  let best = null;
+  for (const command of commands) {
+    for (const alias of command.aliases) {
+      const lowerAlias = alias.toLowerCase();
+      if (!lowerText.startsWith(lowerAlias)) continue;
+      const rest = text.slice(alias.length).trim();
+      if (command.exact && rest) continue;
+      if (/[a-z0-9]$/.test(lowerAlias) && /^[a-z0-9]/i.test(text.slice(alias.length))) continue;
+      if (!best || alias.length > best.alias.length) best = { command, alias, rest };
+    }
+  }
+  return best;
+};
+
+const INTENT_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    command: { type: "STRING", description: "ชื่อคำสั่ง หรือ none หากไม่ตรงกับคำสั่งใด" },
+    argument: { type: "STRING", description: "ค่าที่ต้องส่งให้คำสั่ง เช่น ชื่อจังหวัดหรือสถานที่ เว้นว่างได้" },
+  },
+  required: ["command", "argument"],
+};
+
+// จำแนกข้อความอิสระ เช่น "recommend places in Chiang Mai" ให้เป็นคำสั่ง ไม่บันทึกลงประวัติสนทนา
+const classifyIntent = async (text) => {
+  const candidates = commands.filter(command => command.intent);
+  const commandList = candidates.map(command => `- ${command.name}: ${command.intent}`).join("\n");
+  const prompt = `จำแนกข้อความของผู้ใช้บอทท่องเที่ยวว่าต้องการใช้คำสั่งใด
+${commandList}
+- none: คำถามทั่วไปหรือไม่ตรงกับคำสั่งใด
+ตอบ argument เป็นภาษาไทยหากเป็นชื่อจังหวัดภาคเหนือ
+ข้อความ: ${text}`;
+  try {
+    const { text: response } = await generateWithLLM("intent", [{ role: "user", parts: [{ text: prompt }] }], {
+      responseSchema: { ...INTENT_SCHEMA, properties: { ...INTENT_SCHEMA.properties, command: { ...INTENT_SCHEMA.properties.command, enum: ["none", ...candidates.map(command => command.name)] } } },
+    });
+    const intent = JSON.parse(response);
+    const command = candidates.find(candidate => candidate.name === intent.command);
+    if (!command) return null;
+    console.log(`🧭 Classified "${text}" as ${command.name} (${intent.argument || "-"})`);
+    return { command, rest: typeof intent.argument === "string" ? intent.argument.trim() : "" };
+  } catch (error) {
+    console.warn("⚠️ Intent classification failed:", error.message);
+    return null;
   }
+};
 
-  const preferences = [];
-  if (typeof userMessage === "string") {
-    if (userMessage.includes("ธรรมชาติ")) preferences.push("natural_feature");
-    if (userMessage.includes("วัฒนธรรม")) preferences.push("museum|church|historical");
-    if (userMessage.includes("ผจญภัย")) preferences.push("park|amusement_park");
+// คืน { command, args } หรือ { command, error } เมื่อ argument ไม่ถูกต้อง หรือ null หากไม่ใช่คำสั่ง
+const routeCommand = async (text, lang) => {
+  for (const command of commands.filter(candidate => candidate.match)) {
+    const args = command.match(text, lang);
+    if (args) return { command, args };
   }
 
-  if (typeof userMessage === "string" && (userMessage.startsWith("แนะนำที่เที่ยว") || userMessage.startsWith("แนะนำสถานที่") || userMessage.startsWith("ขอที่เที่ยว"))) {
-    const destination = userMessage.replace(/แนะนำที่เที่ยว|แนะนำสถานที่|ขอที่เที่ยว/, "").trim() || "ภาคเหนือ";
-    const northernProvinces = ["เชียงใหม่", "เชียงราย", "ลำปาง", "ลำพูน", "แม่ฮ่องสอน", "น่าน", "พะเยา", "แพร่", "อุตรดิตถ์"];
-    const isNorthern = northernProvinces.some(province => destination.toLowerCase().includes(province.toLowerCase())) || destination.toLowerCase().includes("ภาคเหนือ");
-    if (!isNorthern) {
-      const errorMsg = await translateText("ขออภัยครับ ผมให้ข้อมูลเฉพาะสถานที่ในภาคเหนือเท่านั้น ลองระบุสถานที่ในภาคเหนือ เช่น เชียงใหม่ หรือ เชียงราย", detectedLang);
+  const aliasMatch = matchCommandAlias(text);
+  if (aliasMatch) return { command: aliasMatch.command, ...parseCommandArgs(aliasMatch.command, aliasMatch.rest, lang) };
+
+  const intentMatch = await classifyIntent(text);
+  if (!intentMatch) return null;
+  const parsed = parseCommandArgs(intentMatch.command, intentMatch.rest, lang);
+  // ค่าที่โมเดลเดาแล้วใช้ไม่ได้ ให้คุยต่อแบบปกติแทนการตอบข้อผิดพลาด
+  return parsed.error ? null : { command: intentMatch.command, args: parsed.args };
+};
+
+const formatCommandHelp = (command, lang) => {
+  const key = `command.${command.name}`;
+  const lines = [t(lang, `${key}.usage`), t(lang, `${key}.description`, { threshold: AQI_ALERT_DEFAULT_THRESHOLD })];
+  if (hasLocaleKey(`${key}.examples`)) lines.push(t(lang, "help.examples", { examples: t(lang, `${key}.examples`).join(", ") }));
+  return lines.join("\n");
+};
+
+registerCommand({
+  name: "help",
+  aliases: ["ช่วยเหลือ", "คำสั่ง", "วิธีใช้", "help", "commands", "帮助", "ヘルプ", "도움말"],
+  args: [{ name: "topic", type: "text", optional: true }],
+  intent: "ถามว่าบอททำอะไรได้บ้าง หรือขอดูวิธีใช้",
+  handler: async ({ lang }, { topic }) => {
+    const topicCommand = topic ? matchCommandAlias(topic)?.command : null;
+    if (topicCommand && !topicCommand.hidden) return [createTextReply(formatCommandHelp(topicCommand, lang), lang)];
+    const list = commands
+      .filter(command => !command.hidden)
+      .map(command => `• ${t(lang, `command.${command.name}.usage`)} — ${t(lang, `command.${command.name}.description`, { threshold: AQI_ALERT_DEFAULT_THRESHOLD })}`)
+      .join("\n");
+    return [createTextReply(`${t(lang, "help.title")}\n${list}\n${t(lang, "help.footer")}`, lang)];
+  },
+});
+
+registerCommand({
+  name: "language",
+  aliases: ["ภาษา", "language", "lang", "语言", "言語", "언어"],
+  args: [{ name: "language", type: "language", optional: true }],
+  intent: "ต้องการเปลี่ยนภาษาที่บอทใช้ตอบ argument คือรหัสภาษา th, en, zh, ja หรือ ko",
+  handler: async ({ lang, ...chat }, { language }) => {
+    if (!language) {
       return [{
         type: "text",
-        text: errorMsg.text,
-        quickReply: createQuickReply(detectedLang),
+        text: t(lang, "language.prompt"),
+        quickReply: {
+          items: Object.entries(LANGUAGES).map(([code, { name }]) => ({
+            type: "action",
+            action: { type: "message", label: name, text: `language ${code}` },
+          })),
+        },
       }];
     }
+    await saveChatLanguage(chat, language);
+    return [createTextReply(t(language, "language.changed", { name: LANGUAGES[language].name }), language)];
+  },
+});
 
-    let prompt = `แนะนำสถานที่ท่องเที่ยวยอดนิยม 5 แห่งใน ${destination} ภาคเหนือของประเทศไทย`;
-    if (preferences.length > 0) prompt += ` ที่เหมาะกับ ${preferences.join(", ")}`;
+registerCommand({
+  name: "reset",
+  aliases: ["เริ่มใหม่", "reset", "重新开始", "リセット", "다시 시작"],
+  exact: true,
+  handler: async ({ chatId, lang }) => {
+    await resetConversation(chatId);
+    return [createTextReply(t(lang, "reset.done"), lang)];
+  },
+});
 
-    const initialResponse = await getAIResponse(userId, prompt);
-    console.log(`🤖 AI recommended places for ${destination}: ${initialResponse}`);
-    const places = initialResponse.split("\n")
-      .filter(line => line.trim().match(/\d+\.\s*.+/))
-      .map(line => line.replace(/^\d+\.\s*/, "").replace(/\*\*/g, "").split(":")[0].trim());
-    const locationData = await Promise.all(places.map(place => getLocationFromGooglePlaces(place)));
-    const validPlaces = locationData.filter(data => data).map(data => data.name);
-
-    const searchResultsPromises = validPlaces.map(place => searchPlaceWithCustomSearch(place, "สถานที่ท่องเที่ยว"));
-    const searchResults = await Promise.all(searchResultsPromises);
-
-    const hotels = await getHotelsNearPlace(destination);
-    const placeCarousel = await createRecommendationCarousel(validPlaces.slice(0, 5));
-    const hotelCarousel = await createHotelRecommendationCarousel(hotels.slice(0, 5));
-
-    const followUpQuestions = await translateText(
-      `ข้อมูลนี้มาจาก Google Places API (ข้อมูล ณ วันที่ ${new Date().toLocaleDateString("th-TH", { year: "numeric", month: "long", day: "numeric" })})\n` +
-      "ขอบคุณที่สนใจ! ช่วยบอกเพิ่มเติมหน่อยครับ:\n- งบประมาณต่อวัน (เช่น ต่ำกว่า 2000 บาท)\n- ความชอบ (เช่น ธรรมชาติ, วัฒนธรรม)\n- เดินทางกับใคร (เช่น ครอบครัว, เพื่อน)\n- วิธีการเดินทาง (เช่น รถยนต์, รถไฟ)\nกรุณาพิมพ์คำตอบตามลำดับด้วยคั่นด้วยเครื่องหมาย | หรือเลือกคำสั่งด้านล่างเพื่อดูข้อมูลเพิ่มเติม",
-      detectedLang
-    );
+registerCommand({
+  name: "exportData",
+  aliases: ["ข้อมูลของฉัน", "export my data", "导出我的数据", "データをエクスポート", "내 데이터 내보내기"],
+  personal: true,
+  exact: true,
+  handler: async ({ userId, lang }) => [
+    createDataExportMessage(userId, lang),
+    createTextReply(t(lang, "export.note"), lang),
+  ],
+});
 
-    const messages = [];
-    messages.push(placeCarousel.type === "flex" ? placeCarousel : { type: "text", text: "ขออภัย ไม่พบสถานที่ท่องเที่ยวที่แนะนำในขณะนี้" });
+registerCommand({
+  name: "deleteData",
+  aliases: ["ลบข้อมูลของฉัน", "delete my data", "删除我的数据", "データを削除", "내 데이터 삭제"],
+  personal: true,
+  exact: true,
+  handler: async ({ lang }) => [{
+    type: "text",
+    text: t(lang, "deleteData.confirm"),
+    quickReply: {
+      items: [
+        { type: "action", action: { type: "message", label: t(lang, "deleteData.confirmLabel"), text: t(lang, "deleteData.confirmText") } },
+        { type: "action", action: { type: "message", label: t(lang, "deleteData.cancelLabel"), text: t(lang, "deleteData.cancelText") } },
+      ],
+    },
+  }],
+});
 
-    if (searchResults.length > 0) {
-      const searchLinks = searchResults.flat().slice(0, 3).map(result => `- ${result.title}: ${result.link}`).join("\n");
-      const searchMessage = await translateText(
-        `ข้อมูลเพิ่มเติมเกี่ยวกับสถานที่:\n${searchLinks}`,
-        detectedLang
-      );
-      messages.push({ type: "text", text: searchMessage.text });
-    }
+registerCommand({
+  name: "confirmDeleteData",
+  aliases: ["ยืนยันลบข้อมูลของฉัน", "confirm delete my data", "确认删除我的数据", "データ削除を確定", "내 데이터 삭제 확인"],
+  personal: true,
+  exact: true,
+  hidden: true,
+  handler: async ({ userId, lang }) => {
+    await deletePersonalData(userId);
+    return [createTextReply(t(lang, "deleteData.done"), lang)];
+  },
+});
 
-    messages.push(hotelCarousel.type === "flex" ? hotelCarousel : { type: "text", text: "ขออภัย ไม่พบโรงแรมที่แนะนำในขณะนี้" });
-    messages.push({
-      type: "text",
-      text: followUpQuestions.text,
-      quickReply: createQuickReply(detectedLang),
-    });
+registerCommand({
+  name: "cancelDeleteData",
+  aliases: ["ยกเลิกลบข้อมูล", "cancel delete my data", "取消删除数据", "データ削除をキャンセル", "데이터 삭제 취소"],
+  personal: true,
+  exact: true,
+  hidden: true,
+  handler: async ({ lang }) => [createTextReply(t(lang, "deleteData.cancelled"), lang)],
+});
+
+// ทางเลือกแทนฟอร์ม LIFF สำหรับผู้ใช้ที่เปิดหน้าเว็บไม่ได้ ถามทีละข้อในแชต
+registerCommand({
+  name: "planTrip",
+  aliases: ["วางแผนทริป", "วางแผนเที่ยว", "plan a trip", "plan trip", "规划行程", "旅行を計画", "여행 계획하기"],
+  personal: true,
+  exact: true,
+  intent: "ต้องการให้ช่วยวางแผนการเดินทางโดยตอบคำถามในแชต",
+  handler: async ({ userId, lang }) => {
+    const data = { answers: {}, awaiting: PLAN_TRIP_FIELDS[0], answered: [] };
+    await startDialogue(userId, "planTrip", data);
+    return [{ type: "text", text: t(lang, "dialogue.planTrip.start") }, createPlanTripQuestion(data, [], lang)];
+  },
+});
 
+registerCommand({
+  name: "listPlans",
+  aliases: ["แผนของฉัน", "my plans", "我的行程", "マイプラン", "내 여행 계획"],
+  personal: true,
+  exact: true,
+  intent: "ขอดูแผนการเดินทางที่เคยสร้างไว้",
+  handler: async ({ userId, lang }) => {
+    const plans = await listUserPlans(userId);
+    if (plans.length === 0) return [createTextReply(t(lang, "plans.empty"), lang)];
+    return [createPlanListCarousel(plans, lang), createTextReply(t(lang, "plans.hint"), lang)];
+  },
+});
+
+const planNotFoundReply = (lang) => createTextReply(t(lang, "plans.notFound"), lang);
+
+registerCommand({
+  name: "viewPlan",
+  aliases: ["ดูแผน", "view plan", "查看行程", "プランを見る", "계획 보기"],
+  personal: true,
+  args: [{ name: "planId", type: "id" }],
+  hidden: true,
+  handler: async ({ userId, lang }, { planId }) => {
+    const plan = await getUserPlan(userId, planId);
+    if (!plan) return [planNotFoundReply(lang)];
+    await userRepository.merge(userId, { activePlanId: plan.id });
+    const messages = createTravelPlanMessages(plan.inputs, plan.content, { itinerary: plan.itinerary, lang });
+    messages[messages.length - 1].quickReply = createQuickReply(lang);
     return messages;
-  }
+  },
+});
 
-  if (typeof userMessage === "string" && userMessage.startsWith("ข้อมูล ")) {
-    const placeName = userMessage.replace("ข้อมูล ", "").trim();
-    const locationData = await getLocationFromGooglePlaces(placeName);
-    if (locationData) {
-      const details = await getPlaceDetails(locationData.placeId);
-      const flexMessage = createPlaceFlexMessage({ ...locationData, ...details });
+registerCommand({
+  name: "regeneratePlan",
+  aliases: ["สร้างแผนใหม่", "regenerate plan", "重新生成行程", "プランを再作成", "계획 다시 만들기"],
+  personal: true,
+  args: [{ name: "planId", type: "id" }],
+  hidden: true,
+  handler: async ({ userId, lang }, { planId }) => {
+    const plan = await getUserPlan(userId, planId);
+    if (!plan) return [planNotFoundReply(lang)];
+    const generated = await generateTravelPlan(userId, plan.inputs, { language: lang });
+    await savePlan(userId, plan.inputs, generated, plan.id);
+    return createTravelPlanMessages(plan.inputs, generated.content, { ...generated, lang });
+  },
+});
 
-      const searchResults = await searchPlaceWithCustomSearch(placeName, "สถานที่ท่องเที่ยว");
+registerCommand({
+  name: "editPlan",
+  personal: true,
+  match: (text, lang) => parsePlanFieldChange(text, lang),
+  handler: async ({ userId, lang }, { field, value, error }) => {
+    if (error) return [createTextReply(t(lang, "plans.editFailed", { reason: error }), lang)];
+    const plan = await getActivePlan(userId);
+    if (!plan) return [createTextReply(t(lang, "plans.noPlanToEdit"), lang)];
 
-      const messages = [flexMessage];
+    const updatedInputs = { ...plan.inputs, [field]: value };
+    const fieldErrors = validateTravelPlanInput(updatedInputs, lang);
+    if (Object.keys(fieldErrors).length > 0) {
+      return [createTextReply(t(lang, "plans.editFailed", { reason: Object.values(fieldErrors).join(", ") }), lang)];
+    }
 
-      if (searchResults.length > 0) {
-        const searchLinks = searchResults.slice(0, 3).map(result => `- ${result.title}: ${result.link}`).join("\n");
-        const searchMessage = await translateText(
-          `ข้อมูลเพิ่มเติมเกี่ยวกับ ${placeName}:\n${searchLinks}`,
-          detectedLang
-        );
-        messages.push({ type: "text", text: searchMessage.text });
-      }
+    const inputs = pickPlanInputs(updatedInputs);
+    const generated = await generateTravelPlan(userId, inputs, { language: lang });
+    await savePlan(userId, inputs, generated, plan.id);
+    return createTravelPlanMessages(inputs, generated.content, { ...generated, lang });
+  },
+});
 
-      const followUp = await translateText(
-        `ข้อมูลนี้มาจาก Google Places API (ข้อมูล ณ วันที่ ${new Date().toLocaleDateString("th-TH", { year: "numeric", month: "long", day: "numeric" })})\n` +
-        "ต้องการดูข้อมูลเพิ่มเติมหรือไม่? ลองเลือกคำสั่งด้านล่างเลยครับ!",
-        detectedLang
-      );
-      messages.push({
-        type: "text",
-        text: followUp.text,
-        quickReply: createQuickReply(detectedLang),
-      });
+registerCommand({
+  name: "planBudget",
+  aliases: ["ประมาณค่าใช้จ่าย", "ค่าใช้จ่ายทริป", "budget breakdown", "trip cost", "费用估算", "旅費の見積もり", "예상 경비"],
+  personal: true,
+  exact: true,
+  intent: "ถามว่าทริปตามแผนล่าสุดจะใช้เงินเท่าไหร่ หรือขอดูรายละเอียดค่าใช้จ่าย",
+  handler: async ({ userId, lang }) => {
+    const plan = await getActivePlan(userId);
+    if (!plan) return [createTextReply(t(lang, "budget.noPlan"), lang)];
+    if (!plan.itinerary || plan.itinerary.days.length === 0) return [createTextReply(t(lang, "budget.unavailable"), lang)];
+    const message = createBudgetFlexMessage(estimateTripCost(plan.inputs, plan.itinerary), plan.inputs.transport, lang);
+    return [{ ...message, quickReply: createQuickReply(lang) }];
+  },
+});
 
-      return messages;
+// แผนกลุ่ม: สมาชิกช่วยกันเสนอและโหวตสถานที่ แล้วสรุปเป็นแผนเดียวที่ใช้ร่วมกันทั้งกลุ่ม
+// ร่างที่กำลังโหวตอยู่ใน groups.groupPlan = { id, destination, candidates, votes: { userId: [placeId] }, settings, createdAt }
+// settings คือข้อมูลแผนจาก "สรุปแผนกลุ่ม" ที่รอสมาชิกกดยืนยัน
+const GROUP_PLAN_CANDIDATES = 6;
+const GROUP_PLAN_MAX_CANDIDATES = 10;
+const GROUP_PLAN_MAX_MUST_VISIT = 6;
+const GROUP_PLAN_PREFERENCE = "ตามสถานที่ที่สมาชิกโหวต";
+
+const toGroupPlanCandidate = (place) => ({
+  placeId: place.placeId,
+  name: place.name,
+  address: place.address ?? null,
+  rating: place.rating ?? null,
+  photoReference: place.photoReference ?? null,
+  latitude: place.latitude,
+  longitude: place.longitude,
+  category: place.category ?? null,
+  reason: place.reason ?? null,
+});
+
+const getGroupPlanVoters = ({ votes }) => Object.values(votes || {}).filter(placeIds => placeIds.length > 0).length;
+
+// ผลโหวตเรียงจากมากไปน้อย คะแนนเท่ากันเรียงตามลำดับที่เสนอ
+const tallyGroupPlanVotes = ({ candidates, votes }) => candidates
+  .map(candidate => ({ ...candidate, votes: Object.values(votes || {}).filter(placeIds => placeIds.includes(candidate.placeId)).length }))
+  .sort((a, b) => b.votes - a.votes);
+
+const formatGroupPlanTally = (draft, lang) => [
+  t(lang, "groupPlan.tallyTitle", { destination: draft.destination, voters: getGroupPlanVoters(draft) }),
+  ...tallyGroupPlanVotes(draft).map((candidate, index) => t(lang, "groupPlan.tallyLine", { rank: index + 1, name: candidate.name, votes: candidate.votes })),
+].join("\n");
+
+// การ์ดสถานที่ให้โหวต ปุ่มโหวตกดซ้ำเพื่อยกเลิกได้ ไม่มีปุ่มบันทึกหรือเพิ่มในทริปที่ใช้ข้อมูลส่วนตัว
+const createGroupVoteCarousel = (draft, candidates, lang) => createRecommendationCarousel(candidates, lang, {
+  altText: t(lang, "groupPlan.voteAlt", { destination: draft.destination }),
+  createFooter: (place) => ({
+    type: "box",
+    layout: "vertical",
+    spacing: "sm",
+    contents: [
+      { type: "button", action: createPostbackAction(t(lang, "groupPlan.vote"), "groupVote", { p: place.placeId, d: draft.id }), style: "primary", color: "#1DB446", height: "sm" },
+      { type: "button", action: createPostbackAction(t(lang, "card.details"), "details", { p: place.placeId }), style: "secondary", height: "sm" },
+    ],
+  }),
+});
+
+registerCommand({
+  name: "startGroupPlan",
+  aliases: ["วางแผนกลุ่ม", "วางแผนเที่ยวกลุ่ม", "group plan", "plan group trip", "团体行程", "グループ旅行", "그룹 여행"],
+  group: true,
+  args: [{ name: "destination", type: "northernPlace" }],
+  handler: async ({ chatId, lang }, { destination }) => {
+    const prompt = `แนะนำสถานที่ท่องเที่ยว ${GROUP_PLAN_CANDIDATES} แห่งใน ${destination} ภาคเหนือของประเทศไทย หลากหลายหมวดให้สมาชิกในกลุ่มเพื่อนโหวตเลือก`;
+    const recommendations = await getAIPlaceRecommendations(chatId, prompt, lang);
+    const candidates = (await resolveRecommendedPlaces(recommendations.places, lang)).slice(0, GROUP_PLAN_CANDIDATES).map(toGroupPlanCandidate);
+    if (candidates.length === 0) return [createTextReply(t(lang, "card.noPlaces"), lang)];
+
+    const previous = (await groupRepository.get(chatId))?.groupPlan;
+    const draft = { id: crypto.randomBytes(6).toString("hex"), destination, candidates, votes: {}, settings: null, createdAt: new Date() };
+    await groupRepository.update(chatId, { groupPlan: draft });
+    console.log(`🗳️ Started group plan ${draft.id} for ${destination} in chat ${chatId}`);
+    return [
+      { type: "text", text: [previous && t(lang, "groupPlan.replaced"), t(lang, "groupPlan.started", { destination })].filter(Boolean).join("\n") },
+      createGroupVoteCarousel(draft, candidates, lang),
+      createTextReply(t(lang, "groupPlan.howTo"), lang),
+    ];
+  },
+});
+
+registerCommand({
+  name: "suggestGroupPlace",
+  aliases: ["เสนอที่เที่ยว", "เสนอสถานที่", "suggest place", "add candidate", "提议地点", "候補を追加", "장소 제안"],
+  group: true,
+  args: [{ name: "placeName", type: "text" }],
+  handler: async ({ chatId, lang }, { placeName }) => {
+    const draft = (await groupRepository.get(chatId))?.groupPlan;
+    if (!draft) return [createTextReply(t(lang, "groupPlan.noDraft"), lang)];
+    if (draft.candidates.length >= GROUP_PLAN_MAX_CANDIDATES) {
+      return [createTextReply(t(lang, "groupPlan.candidatesFull", { max: GROUP_PLAN_MAX_CANDIDATES }), lang)];
+    }
+    const location = await getLocationFromGooglePlaces(`${placeName} ${draft.destination}`, { language: lang });
+    if (!location) return [createTextReply(t(lang, "placeInfo.notFound", { place: placeName }), lang)];
+
+    // ตรวจกับรายการล่าสุดใน transaction เพราะสมาชิกหลายคนอาจเสนอพร้อมกันระหว่างค้นหาสถานที่
+    const candidate = toGroupPlanCandidate(location);
+    const errorKey = await groupRepository.updateInTransaction(chatId, (group) => {
+      const current = group?.groupPlan;
+      if (current?.id !== draft.id) return { result: "groupPlan.draftChanged" };
+      if (current.candidates.length >= GROUP_PLAN_MAX_CANDIDATES) return { result: "groupPlan.candidatesFull" };
+      if (current.candidates.some(item => item.placeId === candidate.placeId)) return { result: "groupPlan.alreadyCandidate" };
+      return { fields: { "groupPlan.candidates": [...current.candidates, candidate] }, result: null };
+    });
+    if (errorKey) return [createTextReply(t(lang, errorKey, { name: candidate.name, max: GROUP_PLAN_MAX_CANDIDATES }), lang)];
+    return [
+      { type: "text", text: t(lang, "groupPlan.suggested", { name: candidate.name }) },
+      createGroupVoteCarousel(draft, [candidate], lang),
+    ];
+  },
+});
+
+// งบที่พิมพ์เป็นงบต่อคน ไม่ระบุจำนวนผู้เดินทางจะนับผู้ที่โหวตเป็นผู้ใหญ่
+registerCommand({
+  name: "finalizeGroupPlan",
+  aliases: ["สรุปแผนกลุ่ม", "finalize group plan", "finalise group plan", "确定团体行程", "グループ旅行を確定", "그룹 여행 확정"],
+  group: true,
+  args: [
+    { name: "startDate", type: "date" },
+    { name: "endDate", type: "date" },
+    { name: "budgetPerPerson", type: "budget" },
+    { name: "travellers", type: "travellers", optional: true },
+  ],
+  handler: async ({ chatId, lang }, { startDate, endDate, budgetPerPerson, travellers }) => {
+    const draft = (await groupRepository.get(chatId))?.groupPlan;
+    if (!draft) return [createTextReply(t(lang, "groupPlan.noDraft"), lang)];
+    const voters = getGroupPlanVoters(draft);
+    if (voters === 0) return [createTextReply(t(lang, "groupPlan.noVotes"), lang)];
+
+    const party = travellers || { adults: voters, children: 0, seniors: 0 };
+    // ไม่ได้ถามจุดเริ่มต้นและวิธีเดินทางของแต่ละคน จึงวางแผนเป็นทริปในพื้นที่ปลายทางด้วยรถยนต์
+    const settings = {
+      startLocation: draft.destination,
+      destination: draft.destination,
+      preference: GROUP_PLAN_PREFERENCE,
+      travelWith: PLAN_OPTIONS.travelWith.friends.value,
+      transport: PLAN_OPTIONS.transport.car.value,
+      travellers: party,
+      budget: budgetPerPerson * getPartySize({ travellers: party }),
+      travelDateStart: startDate,
+      travelDateEnd: endDate,
+    };
+    const fieldErrors = validateTravelPlanInput(settings, lang);
+    if (Object.keys(fieldErrors).length > 0) {
+      return [createTextReply(t(lang, "groupPlan.finalizeFailed", { reason: Object.values(fieldErrors).join(", ") }), lang)];
     }
-    const errorMsg = await translateText(`ไม่พบข้อมูลของ "${placeName}"`, detectedLang);
+
+    await groupRepository.update(chatId, { "groupPlan.settings": settings });
+    const summary = t(lang, "groupPlan.confirmPrompt", {
+      start: startDate,
+      end: endDate,
+      party: formatTravellers(party, lang),
+      budget: formatBaht(budgetPerPerson, lang),
+    });
     return [{
       type: "text",
-      text: errorMsg.text,
-      quickReply: createQuickReply(detectedLang),
+      text: `${formatGroupPlanTally(draft, lang)}\n\n${summary}`,
+      quickReply: { items: [{ type: "action", action: createPostbackAction(t(lang, "groupPlan.confirm"), "groupPlanConfirm", { d: draft.id }) }] },
     }];
-  }
+  },
+});
 
-  if (typeof userMessage === "string" && (userMessage.startsWith("แนะนำโรงแรม") || userMessage.includes("ขอที่พัก"))) {
-    const placeName = userMessage.replace(/แนะนำโรงแรม|ขอที่พัก/, "").trim() || "ภาคเหนือ";
-    const northernProvinces = ["เชียงใหม่", "เชียงราย", "ลำปาง", "ลำพูน", "แม่ฮ่องสอน", "น่าน", "พะเยา", "แพร่", "อุตรดิตถ์"];
-    const isNorthern = northernProvinces.some(province => placeName.toLowerCase().includes(province.toLowerCase())) || placeName.toLowerCase().includes("ภาคเหนือ");
-    if (!isNorthern) {
-      const errorMsg = await translateText("ขออภัยครับ ผมให้ข้อมูลเฉพาะสถานที่ในภาคเหนือเท่านั้น ลองระบุสถานที่ในภาคเหนือ เช่น เชียงใหม่ หรือ เชียงราย", detectedLang);
-      return [{
-        type: "text",
-        text: errorMsg.text,
-        quickReply: createQuickReply(detectedLang),
-      }];
-    }
+registerCommand({
+  name: "groupPlanStatus",
+  aliases: ["ผลโหวต", "แผนกลุ่ม", "vote results", "group trip", "投票结果", "投票結果", "투표 결과"],
+  group: true,
+  exact: true,
+  handler: async ({ chatId, lang }) => {
+    const group = await groupRepository.get(chatId);
+    if (group?.groupPlan) return [createTextReply(`${formatGroupPlanTally(group.groupPlan, lang)}\n\n${t(lang, "groupPlan.howTo")}`, lang)];
+    const plan = group?.activePlanId ? await planRepository.get(group.activePlanId) : null;
+    if (plan) return createTravelPlanMessages(plan.inputs, plan.content, { itinerary: plan.itinerary, lang });
+    return [createTextReply(t(lang, "groupPlan.noDraft"), lang)];
+  },
+});
 
-    const hotels = await getHotelsNearPlace(placeName);
-    const carousel = await createHotelRecommendationCarousel(hotels);
+const createSearchLinksMessage = (title, searchResults) => {
+  const searchLinks = searchResults.flat().slice(0, 3).map(result => `- ${result.title}: ${result.link}`).join("\n");
+  return { type: "text", text: `${title}:\n${searchLinks}` };
+};
 
-    const searchResultsPromises = hotels.map(hotel => searchPlaceWithCustomSearch(hotel.name, "โรงแรม"));
-    const searchResults = await Promise.all(searchResultsPromises);
+registerCommand({
+  name: "recommendPlaces",
+  aliases: [
+    "แนะนำที่เที่ยว", "แนะนำสถานที่", "ขอที่เที่ยว", "recommend places in", "recommend places", "places to visit in",
+    "推荐景点", "おすすめ観光地", "관광지 추천",
+  ],
+  args: [{ name: "destination", type: "northernPlace", default: "ภาคเหนือ" }],
+  intent: "ขอคำแนะนำสถานที่ท่องเที่ยว argument คือจังหวัดหรือพื้นที่",
+  handler: async ({ userId, chatId, isGroupChat, text, lang }, { destination }) => {
+    const preferences = [];
+    if (text.includes("ธรรมชาติ")) preferences.push("natural_feature");
+    if (text.includes("วัฒนธรรม")) preferences.push("museum|church|historical");
+    if (text.includes("ผจญภัย")) preferences.push("park|amusement_park");
+    // ความสนใจที่เลือกไว้ตอนเริ่มใช้งาน ใช้เฉพาะแชตส่วนตัว
+    const interests = !isGroupChat && userId ? (await userRepository.get(userId))?.interests || [] : [];
 
-    const messages = [
-      carousel.type === "flex" ? carousel : { type: "text", text: "ขออภัย ไม่พบโรงแรมที่แนะนำในขณะนี้" },
-    ];
+    let prompt = `แนะนำสถานที่ท่องเที่ยวยอดนิยม 5 แห่งใน ${destination} ภาคเหนือของประเทศไทย`;
+    if (preferences.length > 0) prompt += ` ที่เหมาะกับ ${preferences.join(", ")}`;
+    if (interests.length > 0) prompt += ` โดยเน้นหมวด ${interests.join(", ")} ที่ผู้ใช้สนใจ`;
 
-    if (searchResults.length > 0) {
-      const searchLinks = searchResults.flat().slice(0, 3).map(result => `- ${result.title}: ${result.link}`).join("\n");
-      const searchMessage = await translateText(
-        `ข้อมูลเพิ่มเติมเกี่ยวกับโรงแรม:\n${searchLinks}`,
-        detectedLang
-      );
-      messages.push({ type: "text", text: searchMessage.text });
+    const recommendations = await getAIPlaceRecommendations(chatId, prompt, lang);
+    console.log(`🤖 AI recommended places for ${destination}:`, recommendations.places.map(place => place.name));
+    const validPlaces = (await resolveRecommendedPlaces(recommendations.places, lang)).slice(0, 5);
+
+    const searchResults = await Promise.all(validPlaces.map(place => searchPlaceWithCustomSearch(place.name, "สถานที่ท่องเที่ยว")));
+    const hotels = await getHotelsNearPlace(destination, { language: lang });
+    const placeCarousel = createRecommendationCarousel(validPlaces, lang);
+    const hotelCarousel = await createHotelRecommendationCarousel(hotels.slice(0, 5), lang);
+
+    const messages = [];
+    messages.push(placeCarousel.type === "flex" ? placeCarousel : { type: "text", text: t(lang, "card.noPlaces") });
+    if (searchResults.length > 0) messages.push(createSearchLinksMessage(t(lang, "search.aboutPlaces"), searchResults));
+    messages.push(hotelCarousel.type === "flex" ? hotelCarousel : { type: "text", text: t(lang, "card.noHotels") });
+    if (isGroupChat || !userId) {
+      messages.push(createTextReply(getDataSourceNote(lang) + t(lang, "recommend.followUp"), lang));
+      return messages;
     }
+    // แชตส่วนตัวเริ่มถามต่อเพื่อสร้างแผนเมื่อผู้ใช้กดปุ่มเท่านั้น ข้อความอื่นจึงยังตอบแบบปกติ
+    const province = findNorthernProvince(destination);
+    const followUp = createTextReply(getDataSourceNote(lang) + t(lang, "recommend.planFollowUp"), lang);
+    followUp.quickReply.items.unshift({
+      type: "action",
+      action: createPostbackAction(t(lang, "recommend.planButton"), "startPlanAnswers", { d: province || null }),
+    });
+    messages.push(followUp);
+    return messages;
+  },
+});
 
-    const followUp = await translateText(
-      `ข้อมูลนี้มาจาก Google Places API (ข้อมูล ณ วันที่ ${new Date().toLocaleDateString("th-TH", { year: "numeric", month: "long", day: "numeric" })})\n` +
-      "ต้องการดูข้อมูลเพิ่มเติมหรือไม่? ลองเลือกคำสั่งด้านล่างเลยครับ!",
-      detectedLang
-    );
+registerCommand({
+  name: "placeInfo",
+  aliases: ["ข้อมูล", "info", "about", "景点信息", "スポット情報", "장소 정보"],
+  args: [{ name: "placeName", type: "text" }],
+  intent: "ขอรายละเอียดของสถานที่ใดสถานที่หนึ่ง argument คือชื่อสถานที่",
+  handler: async ({ lang }, { placeName }) => {
+    const locationData = await getLocationFromGooglePlaces(placeName, { language: lang });
+    if (!locationData) return [createTextReply(t(lang, "placeInfo.notFound", { place: placeName }), lang)];
+
+    const details = await getPlaceDetails(locationData.placeId, lang);
+    const searchResults = await searchPlaceWithCustomSearch(placeName, "สถานที่ท่องเที่ยว");
+    const messages = [createPlaceFlexMessage({ ...locationData, ...details }, lang)];
+    if (searchResults.length > 0) messages.push(createSearchLinksMessage(t(lang, "search.aboutPlace", { name: placeName }), searchResults));
+    messages.push(createTextReply(getDataSourceNote(lang) + t(lang, "common.moreInfo"), lang));
+    return messages;
+  },
+});
+
+registerCommand({
+  name: "recommendHotels",
+  aliases: [
+    "แนะนำโรงแรม", "ขอที่พัก", "แนะนำที่พัก", "recommend hotels in", "recommend hotels", "hotels in",
+    "推荐酒店", "おすすめホテル", "호텔 추천",
+  ],
+  args: [{ name: "placeName", type: "northernPlace", default: "ภาคเหนือ" }],
+  intent: "ขอคำแนะนำโรงแรมหรือที่พัก argument คือจังหวัดหรือสถานที่",
+  handler: async ({ lang }, { placeName }) => {
+    const hotels = await getHotelsNearPlace(placeName, { language: lang });
+    const carousel = await createHotelRecommendationCarousel(hotels, lang);
+    const searchResults = await Promise.all(hotels.map(hotel => searchPlaceWithCustomSearch(hotel.name, "โรงแรม")));
+
+    const messages = [carousel.type === "flex" ? carousel : { type: "text", text: t(lang, "card.noHotels") }];
+    if (searchResults.length > 0) messages.push(createSearchLinksMessage(t(lang, "search.aboutHotels"), searchResults));
+    messages.push(createTextReply(getDataSourceNote(lang) + t(lang, "common.moreInfo"), lang));
+    return messages;
+  },
+});
+
+// quick reply ตัวกรองที่ยังไม่ได้เลือก ส่งคำสั่งเดิมพร้อมชื่อตัวกรองในภาษาของผู้ใช้
+const createRestaurantFilterQuickReply = ({ placeName, cuisine, openNow }, lang) => ({
+  items: [
+    ...Object.keys(RESTAURANT_CUISINES).filter(name => name !== cuisine).map(name => `restaurants.cuisine.${name}`),
+    ...(openNow ? [] : ["restaurants.openNow"]),
+  ].map(key => ({
+    type: "action",
+    action: { type: "message", label: t(lang, key), text: `${t(lang, "restaurants.commandText")} ${placeName} ${t(lang, key)}` },
+  })),
+});
+
+registerCommand({
+  name: "recommendRestaurants",
+  aliases: [
+    "แนะนำร้านอาหาร", "แนะนำร้านกาแฟ", "แนะนำคาเฟ่", "ร้านอาหารแถว", "ร้านอาหารใกล้", "หาร้านอาหาร",
+    "recommend restaurants in", "recommend restaurants near", "recommend restaurants", "restaurants in", "restaurants near", "where to eat in", "where to eat",
+    "推荐餐厅", "おすすめレストラン", "맛집 추천",
+  ],
+  args: [{ name: "query", type: "restaurantQuery", default: () => ({ placeName: DEFAULT_RESTAURANT_PLACE, cuisine: null, price: null, openNow: false }) }],
+  intent: "ขอคำแนะนำร้านอาหาร คาเฟ่ หรืออาหารเหนือ argument คือสถานที่ พร้อมประเภทอาหาร (เช่น ข้าวซอย อาหารเหนือ มังสวิรัติ ฮาลาล) ระดับราคา หรือ \"เปิดอยู่\" หากผู้ใช้ระบุ",
+  handler: async ({ lang }, { query }) => {
+    const { placeName, cuisine, price, openNow } = query;
+    const location = await getLocationFromGooglePlaces(placeName, { language: lang });
+    if (!location) return [createTextReply(t(lang, "placeInfo.notFound", { place: placeName }), lang)];
+
+    const restaurants = await searchRestaurants(location, { cuisine, price, openNow, language: lang });
+    console.log(`🍜 Found ${restaurants.length} restaurants near ${placeName} (${[cuisine, price, openNow && "openNow"].filter(Boolean).join(", ") || "no filters"})`);
+    const filters = [
+      cuisine && t(lang, `restaurants.cuisine.${cuisine}`),
+      price && t(lang, `restaurants.price.${price}`),
+      openNow && t(lang, "restaurants.openNow"),
+    ].filter(Boolean);
+
+    const messages = [{ type: "text", text: t(lang, "restaurants.title", { place: placeName }) + (filters.length > 0 ? ` (${filters.join(" • ")})` : "") }];
+    messages.push(createRestaurantRecommendationCarousel(restaurants, cuisine, lang));
     messages.push({
       type: "text",
-      text: followUp.text,
-      quickReply: createQuickReply(detectedLang),
+      text: getDataSourceNote(lang) + t(lang, "restaurants.followUp"),
+      quickReply: createRestaurantFilterQuickReply(query, lang),
     });
-
     return messages;
-  }
+  },
+});
 
-  if (typeof userMessage === "string" && (userMessage.startsWith("สภาพอากาศ ") || userMessage.startsWith("สภาพอากาศปัจจุบัน"))) {
-    const placeName = userMessage.replace(/สภาพอากาศ(ปัจจุบัน)?/, "").trim() || "กรุงเทพมหานคร";
-    const locationData = await getLocationFromGooglePlaces(placeName);
-    if (locationData) {
-      const flexMessage = createPlaceFlexMessage(locationData);
-      const followUp = await translateText("ต้องการดูข้อมูลเพิ่มเติมหรือไม่? ลองเลือกคำสั่งด้านล่างเลยครับ!", detectedLang);
-      return [
-        flexMessage,
-        {
-          type: "text",
-          text: followUp.text,
-          quickReply: createQuickReply(detectedLang),
-        },
-      ];
+registerCommand({
+  name: "favourites",
+  aliases: ["สถานที่ที่บันทึก", "รายการโปรด", "favourites", "favorites", "saved places", "我的收藏", "お気に入り", "즐겨찾기"],
+  personal: true,
+  exact: true,
+  intent: "ขอดูสถานที่ที่เคยกดบันทึกไว้",
+  handler: async ({ userId, lang }) => {
+    const favourites = (await userRepository.get(userId))?.favourites || [];
+    if (favourites.length === 0) return [createTextReply(t(lang, "favourites.empty"), lang)];
+    // carousel ของ LINE แสดงได้สูงสุด 12 การ์ด จึงแสดงรายการที่บันทึกล่าสุดก่อน
+    return [createRecommendationCarousel([...favourites].reverse().slice(0, 12), lang), createTextReply(t(lang, "common.moreInfo"), lang)];
+  },
+});
+
+registerCommand({
+  name: "airQuality",
+  aliases: ["ฝุ่น", "คุณภาพอากาศ", "aqi", "pm2.5", "pm 2.5", "pm25", "air quality in", "air quality", "空气质量", "大気質", "미세먼지"],
+  args: [{ name: "province", type: "province", default: "เชียงใหม่", errorKey: "aqi.unsupportedProvince" }],
+  intent: "ถามค่าฝุ่น PM2.5 หรือคุณภาพอากาศ argument คือจังหวัด",
+  handler: async ({ lang }, { province }) => {
+    const airQuality = await getAirQuality(province);
+    if (!airQuality) return [createTextReply(t(lang, "aqi.notFound", { province: getProvinceName(province, lang) }), lang)];
+    return [createAirQualityFlexMessage(airQuality, lang), createTextReply(t(lang, "aqi.alertHint"), lang)];
+  },
+});
+
+registerCommand({
+  name: "enableAqiAlert",
+  aliases: ["แจ้งเตือนฝุ่น", "aqi alert", "空气质量提醒", "大気質アラート", "미세먼지 알림"],
+  personal: true,
+  args: [{ name: "threshold", type: "integer", default: AQI_ALERT_DEFAULT_THRESHOLD }],
+  handler: async ({ userId, lang }, { threshold }) => {
+    const upcomingTrip = (await userRepository.get(userId))?.upcomingTrip || null;
+    const province = upcomingTrip ? findNorthernProvince(upcomingTrip.destination) : null;
+
+    if (!upcomingTrip || upcomingTrip.travelDateEnd < toDateKey(new Date())) {
+      return [createTextReply(t(lang, "aqiAlert.noTrip"), lang)];
     }
-    const errorMsg = await translateText(`ไม่พบข้อมูลสภาพอากาศของ "${placeName}"`, detectedLang);
-    return [{
-      type: "text",
-      text: errorMsg.text,
-      quickReply: createQuickReply(detectedLang),
-    }];
-  }
+    if (!province) {
+      return [createTextReply(t(lang, "aqiAlert.unsupported", { destination: upcomingTrip.destination }), lang)];
+    }
+    await userRepository.merge(userId, { aqiAlert: { enabled: true, threshold, lastAlertedAt: null } });
+    return [createTextReply(t(lang, "aqiAlert.enabled", {
+      province: getProvinceName(province, lang),
+      threshold,
+      start: upcomingTrip.travelDateStart,
+      end: upcomingTrip.travelDateEnd,
+    }), lang)];
+  },
+});
+
+registerCommand({
+  name: "disableAqiAlert",
+  aliases: ["ยกเลิกแจ้งเตือนฝุ่น", "stop aqi alert", "关闭空气质量提醒", "大気質アラート停止", "미세먼지 알림 끄기"],
+  personal: true,
+  exact: true,
+  handler: async ({ userId, lang }) => {
+    await userRepository.merge(userId, { aqiAlert: { enabled: false } });
+    return [createTextReply(t(lang, "aqiAlert.disabled"), lang)];
+  },
+});
+
+// ข้อความเตือนก่อนทริป แผนรายวัน และสรุปหลังทริปเปิดอยู่โดยอัตโนมัติ คำสั่งนี้ใช้เปิดอีกครั้งหลังปิดหรือพักไว้
+registerCommand({
+  name: "enableTripReminders",
+  aliases: ["เปิดแจ้งเตือนทริป", "trip reminders on", "开启行程提醒", "旅行通知オン", "여행 알림 켜기"],
+  personal: true,
+  exact: true,
+  handler: async ({ userId, lang }) => {
+    await userRepository.merge(userId, { tripReminders: { enabled: true, mutedUntil: null } });
+    const plan = await getActivePlan(userId);
+    const scheduled = plan ? await scheduleTripJobs(userId, plan.id, plan) : 0;
+    if (scheduled === 0) return [createTextReply(t(lang, "tripJobs.enabledNoTrip"), lang)];
+    return [createTextReply(t(lang, "tripJobs.enabled", { destination: plan.inputs.destination, count: scheduled }), lang)];
+  },
+});
+
+registerCommand({
+  name: "disableTripReminders",
+  aliases: ["ยกเลิกแจ้งเตือนทริป", "stop trip reminders", "关闭行程提醒", "旅行通知オフ", "여행 알림 끄기"],
+  personal: true,
+  exact: true,
+  handler: async ({ userId, lang }) => {
+    await userRepository.merge(userId, { tripReminders: { enabled: false } });
+    await cancelTripJobs(userId);
+    return [createTextReply(t(lang, "tripJobs.disabled"), lang)];
+  },
+});
 
-  if (typeof userMessage === "string" && userMessage.startsWith("แผนที่")) {
-    const placeName = userMessage.replace("แผนที่", "").trim();
-    const locationData = await getLocationFromGooglePlaces(placeName);
+// ข้อความที่ถึงเวลาระหว่างพักจะถูกข้ามไป ไม่ส่งย้อนหลัง
+registerCommand({
+  name: "muteTripReminders",
+  aliases: ["พักแจ้งเตือนทริป", "mute trip reminders", "暂停行程提醒", "旅行通知を一時停止", "여행 알림 일시 중지"],
+  personal: true,
+  args: [{ name: "days", type: "integer", default: 1 }],
+  handler: async ({ userId, lang }, { days }) => {
+    const mutedUntil = new Date(Date.now() + Math.min(days, TRIP_MUTE_MAX_DAYS) * 24 * 60 * 60 * 1000);
+    await userRepository.merge(userId, { tripReminders: { mutedUntil } });
+    const until = mutedUntil.toLocaleString(LANGUAGES[lang].dateLocale, { timeZone: "Asia/Bangkok", day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
+    return [createTextReply(t(lang, "tripJobs.muted", { until }), lang)];
+  },
+});
+
+registerCommand({
+  name: "weather",
+  aliases: ["สภาพอากาศปัจจุบัน", "สภาพอากาศ", "weather in", "weather", "天气", "天気", "날씨"],
+  args: [{ name: "placeName", type: "text", default: "กรุงเทพมหานคร" }],
+  intent: "ถามสภาพอากาศหรือพยากรณ์อากาศ argument คือสถานที่",
+  handler: async ({ lang }, { placeName }) => {
+    const locationData = await getLocationFromGooglePlaces(placeName, { language: lang });
+    const forecast = locationData ? await getWeatherForecast(locationData.latitude, locationData.longitude, { days: 5 }) : null;
+    if (!forecast) return [createTextReply(t(lang, "weather.notFound", { place: placeName }), lang)];
+    return [createWeatherFlexMessage(locationData.name, forecast, lang), createTextReply(t(lang, "common.moreInfo"), lang)];
+  },
+});
+
+registerCommand({
+  name: "map",
+  aliases: ["แผนที่", "map of", "map", "地图", "地図", "지도"],
+  args: [{ name: "placeName", type: "text" }],
+  intent: "ขอแผนที่หรือตำแหน่งของสถานที่ argument คือชื่อสถานที่",
+  handler: async ({ lang }, { placeName }) => {
+    const locationData = await getLocationFromGooglePlaces(placeName, { language: lang });
     console.log(`📍 Location data for ${placeName}:`, locationData);
-    if (locationData && locationData.latitude && locationData.longitude) {
-      const locationMessage = {
+    if (!locationData || !locationData.latitude || !locationData.longitude) {
+      return [createTextReply(t(lang, "map.notFound", { place: placeName }), lang)];
+    }
+    return [
+      {
         type: "location",
         title: `${placeName}`,
         address: locationData.address,
         latitude: locationData.latitude,
         longitude: locationData.longitude,
-      };
-      const followUp = await translateText("ต้องการดูข้อมูลเพิ่มเติมหรือไม่? ลองเลือกคำสั่งด้านล่างเลยครับ!", detectedLang);
-      return [
-        locationMessage,
-        {
-          type: "text",
-          text: followUp.text,
-          quickReply: createQuickReply(detectedLang),
-        },
-      ];
-    }
-    const errorMsg = await translateText(`ไม่พบข้อมูลแผนที่ของ "${placeName}" กรุณาตรวจสอบชื่อสถานที่`, detectedLang);
-    return [{
-      type: "text",
-      text: errorMsg.text,
-      quickReply: createQuickReply(detectedLang),
-    }];
-  }
+      },
+      createTextReply(t(lang, "common.moreInfo"), lang),
+    ];
+  },
+});
 
-  if (typeof userMessage === "string" && userMessage === "ติดต่อหน่วยงานที่เกี่ยวข้อง") {
+registerCommand({
+  name: "contacts",
+  aliases: ["ติดต่อหน่วยงานที่เกี่ยวข้อง", "emergency contacts", "紧急联系方式", "緊急連絡先", "긴급 연락처"],
+  exact: true,
+  intent: "ขอเบอร์ติดต่อฉุกเฉิน ตำรวจท่องเที่ยว หรือหน่วยงานที่เกี่ยวข้อง",
+  handler: async ({ lang }) => {
     const imageMap1 = {
       type: "imagemap",
       baseUrl: "https://tripster-plans.netlify.app/images/contact_imagemap1.png?w=auto",
-      altText: "ติดต่อหน่วยงานที่เกี่ยวข้อง (กลุ่ม 1)",
+      altText: t(lang, "contacts.alt", { group: 1 }),
       baseSize: {
         width: 1040,
         height: 1040,
@@ -930,7 +3104,7 @@ const getAIResponseWithMedia = async (userId, userMessage, replyToken) => {
     const imageMap2 = {
       type: "imagemap",
       baseUrl: "https://tripster-plans.netlify.app/images/contact_imagemap2.png?w=auto",
-      altText: "ติดต่อหน่วยงานที่เกี่ยวข้อง (กลุ่ม 2)",
+      altText: t(lang, "contacts.alt", { group: 2 }),
       baseSize: {
         width: 1040,
         height: 1040,
@@ -942,246 +3116,2313 @@ const getAIResponseWithMedia = async (userId, userMessage, replyToken) => {
       ],
     };
 
-    const followUp = await translateText("ต้องการดูข้อมูลเพิ่มเติมหรือไม่? ลองเลือกคำสั่งด้านล่างเลยครับ!", detectedLang);
-    return [
-      imageMap1,
-      imageMap2,
-      {
-        type: "text",
-        text: followUp.text,
-        quickReply: createQuickReply(detectedLang),
-      },
-    ];
-  }
-
-  const aiResponse = await getAIResponse(userId, typeof userMessage === "string" ? userMessage : "ผู้ใช้ส่งสติกเกอร์");
-  const isPlaceList = aiResponse.match(/\d+\.\s*.+/g);
-  if (isPlaceList) {
-    const places = aiResponse.split("\n")
-      .filter(line => line.trim().match(/\d+\.\s*.+/))
-      .map(line => line.replace(/^\d+\.\s*/, "").replace(/\*\*/g, "").split(":")[0].trim());
-    const locationData = await Promise.all(places.map(place => getLocationFromGooglePlaces(place)));
-    const validPlaces = locationData.filter(data => data).map(data => data.name);
-
-    const searchResultsPromises = validPlaces.map(place => searchPlaceWithCustomSearch(place, "สถานที่ท่องเที่ยว"));
-    const searchResults = await Promise.all(searchResultsPromises);
-
-    const carousel = await createRecommendationCarousel(validPlaces);
-    const messages = [
-      carousel.type === "flex" ? carousel : { type: "text", text: "ขออภัย ไม่พบสถานที่ท่องเที่ยวที่แนะนำในขณะนี้" },
-    ];
-
-    if (searchResults.length > 0) {
-      const searchLinks = searchResults.flat().slice(0, 3).map(result => `- ${result.title}: ${result.link}`).join("\n");
-      const searchMessage = await translateText(
-        `ข้อมูลเพิ่มเติมเกี่ยวกับสถานที่:\n${searchLinks}`,
-        detectedLang
-      );
-      messages.push({ type: "text", text: searchMessage.text });
-    }
-
-    const followUp = await translateText(
-      `ข้อมูลนี้มาจาก Google Places API (ข้อมูล ณ วันที่ ${new Date().toLocaleDateString("th-TH", { year: "numeric", month: "long", day: "numeric" })})\n` +
-      "ต้องการดูข้อมูลเพิ่มเติมหรือไม่? ลองเลือกคำสั่งด้านล่างเลยครับ!",
-      detectedLang
-    );
-    messages.push({
-      type: "text",
-      text: followUp.text,
-      quickReply: createQuickReply(detectedLang),
-    });
+    return [imageMap1, imageMap2, createTextReply(t(lang, "common.moreInfo"), lang)];
+  },
+});
 
+// ข้อความที่ไม่ตรงกับคำสั่งใด ให้ LLM ตอบ (ในภาษาของผู้ใช้) พร้อมการ์ดสถานที่ที่แนะนำ
+const respondWithAI = async ({ chatId, text, lang }) => {
+  const { reply: aiResponse, places } = await getAIPlaceRecommendations(chatId, text, lang);
+  const validPlaces = places.length > 0 ? await resolveRecommendedPlaces(places, lang) : [];
+  if (validPlaces.length > 0) {
+    const searchResults = await Promise.all(validPlaces.map(place => searchPlaceWithCustomSearch(place.name, "สถานที่ท่องเที่ยว")));
+    const messages = [];
+    if (aiResponse) messages.push({ type: "text", text: aiResponse });
+    messages.push(createRecommendationCarousel(validPlaces, lang));
+    if (searchResults.length > 0) messages.push(createSearchLinksMessage(t(lang, "search.aboutPlaces"), searchResults));
+    messages.push(createTextReply(getDataSourceNote(lang) + t(lang, "common.moreInfo"), lang));
     return messages;
   }
 
   if (aiResponse.includes("แสดงรูปภาพ")) {
-    const imageMessage = {
-      type: "image",
-      originalContentUrl: "https://example.com/travel_image.jpg",
-      previewImageUrl: "https://example.com/travel_image.jpg",
-    };
-    const followUp = await translateText("ต้องการดูข้อมูลเพิ่มเติมหรือไม่? ลองเลือกคำสั่งด้านล่างเลยครับ!", detectedLang);
     return [
-      imageMessage,
       {
-        type: "text",
-        text: followUp.text,
-        quickReply: createQuickReply(detectedLang),
+        type: "image",
+        originalContentUrl: "https://example.com/travel_image.jpg",
+        previewImageUrl: "https://example.com/travel_image.jpg",
       },
+      createTextReply(t(lang, "common.moreInfo"), lang),
     ];
   }
 
-  const translatedResponse = await translateText(aiResponse, detectedLang);
-  const quickReplyMessage = {
-    type: "text",
-    text: translatedResponse.text,
-    quickReply: createQuickReply(detectedLang),
-  };
-  return [quickReplyMessage];
+  return [createTextReply(aiResponse, lang)];
 };
 
-app.post("/submit-travel-plan", async (req, res) => {
-  const { userId, startLocation, destination, budget, preference, travelWith, transport, travelDateStart, travelDateEnd } = req.body;
-
-  if (!userId || !startLocation || !destination || !budget || !preference || !travelWith || !transport || !travelDateStart || !travelDateEnd) {
-    console.error("❌ Missing required fields in request body", req.body);
-    return res.status(400).send("Missing required fields");
+// chat: ห้องแชตจาก getEventChat, lang: ภาษาของห้องแชต (จาก getChatLanguage)
+const getAIResponseWithMedia = async (chat, userMessage, replyToken, lang = DEFAULT_LANGUAGE) => {
+  // แอนิเมชันโหลดใช้ได้เฉพาะแชตส่วนตัว
+  if (!chat.isGroupChat) {
+    const loadingStarted = await startLoadingAnimation(chat.userId, 5);
+    if (!loadingStarted) console.log("⚠️ Loading Animation failed");
+  }
+
+  if (typeof userMessage === "object" && userMessage.type === "sticker") {
+    console.log(`📤 Preparing sticker response (${lang})`);
+    return [createTextReply(t(lang, "common.stickerGreeting"), lang)];
+  }
+
+  const text = userMessage.trim();
+  const context = { ...chat, text, lang, replyToken };
+
+  // ระหว่างบทสนทนาหลายขั้นตอน คำสั่งแทรกได้เมื่อพิมพ์ตรง alias ทั้งข้อความเท่านั้น
+  // ข้อความที่ขึ้นต้นด้วย alias เช่น "about 5000" ให้บทสนทนาลองรับเป็นคำตอบก่อน ไม่ใช่คำตอบจึงส่งต่อเป็นคำสั่ง
+  const dialogue = !chat.isGroupChat && chat.userId ? await getActiveDialogue(chat.userId) : null;
+  const isDialogueControl = [...DIALOGUE_CANCEL_ALIASES, ...DIALOGUE_BACK_ALIASES].includes(text.toLowerCase());
+  if (dialogue && (isDialogueControl || matchCommandAlias(text)?.rest !== "")) {
+    const messages = await continueDialogue(context, dialogue);
+    if (messages) return messages;
+  }
+
+  const route = await routeCommand(text, lang);
+  if (!route) return respondWithAI(context);
+  if (route.error) return [createTextReply(route.error, lang)];
+  if (route.command.personal && chat.isGroupChat) return [createTextReply(t(lang, "group.personalOnly"), lang)];
+  if (route.command.group && !chat.isGroupChat) return [createTextReply(t(lang, "group.groupOnly"), lang)];
+  console.log(`⚙️ Running command ${route.command.name} in chat ${chat.chatId}`);
+  return route.command.handler(context, route.args);
+};
+
+// ตัดข้อความที่ mention บอทออก คืน null หากข้อความไม่ได้ mention บอท
+const stripBotMention = (message) => {
+  const mentionee = message.mention?.mentionees?.find(item => item.isSelf);
+  if (!mentionee) return null;
+  return (message.text.slice(0, mentionee.index) + message.text.slice(mentionee.index + mentionee.length)).trim();
+};
+
+// ตัวเลือกของแผนการเดินทาง value คือค่าที่เก็บ (เหมือนฟอร์ม LIFF) ชื่อที่แสดงอยู่ใน locale key "planOption.<id>"
+// ในแชตผู้ใช้พิมพ์ได้ทั้งชื่อที่แสดงของทุกภาษา value และคำใน aliases, people: จำนวนคนโดยประมาณของผู้ร่วมเดินทางแต่ละแบบ
+const PLAN_OPTIONS = {
+  preference: {
+    nature: { value: "ธรรมชาติ", aliases: ["ทะเลหมอก", "น้ำตก", "ภูเขา", "mountains", "waterfalls"] },
+    culture: { value: "วัฒนธรรม", aliases: ["วัด", "ประวัติศาสตร์", "temples", "history", "cultural"] },
+    adventure: { value: "ผจญภัย", aliases: ["เดินป่า", "hiking", "trekking"] },
+    shopping: { value: "ช้อปปิ้ง", aliases: ["ตลาด", "markets"] },
+  },
+  travelWith: {
+    family: { value: "ครอบครัว", aliases: ["พ่อแม่", "kids"], people: 4 },
+    friends: { value: "เพื่อน", aliases: ["friend"], people: 2 },
+    couple: { value: "คู่รัก", aliases: ["แฟน", "partner", "girlfriend", "boyfriend"], people: 2 },
+    solo: { value: "คนเดียว", aliases: ["alone", "by myself", "一个人", "一人"], people: 1 },
+  },
+  transport: {
+    car: { value: "รถยนต์", aliases: ["ขับรถ", "รถส่วนตัว", "drive", "driving", "自驾", "レンタカー", "렌터카"] },
+    train: { value: "รถไฟ", aliases: ["列車", "기차"] },
+    plane: { value: "เครื่องบิน", aliases: ["flight", "fly", "飞机", "飛行機"] },
+    bus: { value: "รถบัส", aliases: ["รถทัวร์", "coach", "大巴", "巴士"] },
+  },
+};
+const TRAVEL_WITH_OPTIONS = Object.values(PLAN_OPTIONS.travelWith).map(option => option.value);
+const TRANSPORT_OPTIONS = Object.values(PLAN_OPTIONS.transport).map(option => option.value);
+
+// id ของตัวเลือกจากค่าที่เก็บในแผน เช่น "รถไฟ" → "train"
+const getPlanOptionId = (field, value) => Object.keys(PLAN_OPTIONS[field]).find(id => PLAN_OPTIONS[field][id].value === value) || null;
+
+// ผู้เดินทางแยกตามประเภท ค่าใช้จ่ายบางหมวดของเด็กและผู้สูงอายุคิดลดตาม TRAVEL_COSTS.travellerFactors
+const TRAVELLER_TYPES = ["adults", "children", "seniors"];
+const MAX_PARTY_SIZE = 20;
+// คำที่ใช้พิมพ์จำนวนผู้เดินทางในแชต เช่น "ผู้ใหญ่ 2 เด็ก 1" หรือ "2 adults 1 child"
+const TRAVELLER_ALIASES = {
+  adults: ["ผู้ใหญ่", "adults", "adult", "成人", "大人", "어른", "성인"],
+  children: ["เด็ก", "children", "child", "kids", "kid", "儿童", "孩子", "子供", "子ども", "아이", "어린이"],
+  seniors: ["ผู้สูงอายุ", "คนแก่", "seniors", "senior", "elderly", "老人", "シニア", "高齢者", "노인"],
+};
+
+// แผนที่บันทึกก่อนมีจำนวนผู้เดินทางใช้จำนวนโดยประมาณของ travelWith เป็นผู้ใหญ่ทั้งหมด
+const getTravellers = ({ travelWith, travellers }) => travellers || {
+  adults: PLAN_OPTIONS.travelWith[getPlanOptionId("travelWith", travelWith)]?.people || 1,
+  children: 0,
+  seniors: 0,
+};
+
+const getPartySize = (inputs) => {
+  const travellers = getTravellers(inputs);
+  return TRAVELLER_TYPES.reduce((total, type) => total + travellers[type], 0);
+};
+
+// จำนวนผู้เดินทางจากข้อความ ตัวเลขอย่างเดียวคือจำนวนผู้ใหญ่ คืน null หากแปลงไม่ได้ (ไม่ตรวจจำนวนรวม)
+// ตัวเลขอยู่หน้าหรือหลังประเภทก็ได้ ("2 ผู้ใหญ่ 1 เด็ก" หรือ "ผู้ใหญ่ 2 เด็ก 1") แต่ต้องเหมือนกันทั้งข้อความ
+const parseTravellers = (text) => {
+  const plain = text.trim().match(/^(\d+)\s*(?:คน|people|persons?|pax|人|名|명)?$/i);
+  if (plain) return { adults: Number(plain[1]), children: 0, seniors: 0 };
+
+  const numberFirst = /^\d/.test(text.trim());
+  let rest = text;
+  const travellers = { adults: 0, children: 0, seniors: 0 };
+  let found = false;
+  for (const type of TRAVELLER_TYPES) {
+    for (const alias of [...TRAVELLER_ALIASES[type]].sort((a, b) => b.length - a.length)) {
+      const pattern = numberFirst ? `(\\d+)\\s*(?:คน|人|名|명)?\\s*${alias}` : `${alias}\\s*[:：]?\\s*(\\d+)`;
+      const match = rest.match(new RegExp(pattern, "i"));
+      if (!match) continue;
+      travellers[type] += Number(match[1]);
+      rest = rest.replace(match[0], " ");
+      found = true;
+    }
+  }
+  // ข้อความที่เหลือต้องไม่มีตัวเลขที่ไม่รู้ว่าเป็นผู้เดินทางประเภทใด
+  return found && !/\d/.test(rest) ? travellers : null;
+};
+
+const formatTravellers = (travellers, lang) => TRAVELLER_TYPES
+  .filter(type => travellers[type] > 0)
+  .map(type => t(lang, `travellers.${type}`, { count: travellers[type] }))
+  .join(" ");
+
+// ตรวจ ID token จาก LIFF กับ LINE Login แล้วคืน userId ที่ยืนยันแล้ว
+const verifyLiffIdToken = async (idToken) => {
+  try {
+    const response = await axios.post(
+      "https://api.line.me/oauth2/v2.1/verify",
+      new URLSearchParams({ id_token: idToken, client_id: LINE_LOGIN_CHANNEL_ID }),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+    );
+    return response.data.sub || null;
+  } catch (error) {
+    console.error("❌ LIFF ID token verification failed:", error.response?.data?.error_description || error.message);
+    return null;
+  }
+};
+
+const getAuthenticatedUserId = async (req) => {
+  const idToken = (req.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  return idToken ? verifyLiffIdToken(idToken) : null;
+};
+
+// กันวันที่ที่ไม่มีจริง เช่น 2026-02-31 ซึ่ง Date จะเลื่อนไปเดือนถัดไป
+const isValidDateKey = (value) => typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)
+  && !isNaN(new Date(value).getTime()) && new Date(value).toISOString().startsWith(value);
+
+// คืนค่า object ของ error รายฟิลด์ เพื่อให้ฟอร์มแสดงข้อความข้างช่องที่ผิดได้
+const validateTravelPlanInput = (body, lang = DEFAULT_LANGUAGE) => {
+  const errors = {};
+  const isBlank = (value) => typeof value !== "string" || value.trim() === "";
+  const today = toDateKey(new Date());
+
+  if (isBlank(body.startLocation)) errors.startLocation = t(lang, "validation.startLocation");
+  if (isBlank(body.destination)) errors.destination = t(lang, "validation.destination");
+  if (isBlank(body.preference)) errors.preference = t(lang, "validation.preference");
+
+  if (!isValidDateKey(body.travelDateStart)) {
+    errors.travelDateStart = t(lang, "validation.travelDateStart");
+  } else if (body.travelDateStart < today) {
+    errors.travelDateStart = t(lang, "validation.travelDateStartPast");
+  }
+  if (!isValidDateKey(body.travelDateEnd)) {
+    errors.travelDateEnd = t(lang, "validation.travelDateEnd");
+  } else if (body.travelDateEnd < today) {
+    errors.travelDateEnd = t(lang, "validation.travelDateEndPast");
+  } else if (!errors.travelDateStart && body.travelDateEnd < body.travelDateStart) {
+    errors.travelDateEnd = t(lang, "validation.travelDateEndBeforeStart");
+  }
+
+  const budget = Number(body.budget);
+  if (body.budget === "" || body.budget === null || body.budget === undefined || !Number.isFinite(budget) || budget <= 0) {
+    errors.budget = t(lang, "validation.budget");
+  }
+  if (!TRAVEL_WITH_OPTIONS.includes(body.travelWith)) errors.travelWith = t(lang, "validation.travelWith");
+  if (!TRANSPORT_OPTIONS.includes(body.transport)) errors.transport = t(lang, "validation.transport");
+
+  // ไม่บังคับ (แผนจากแชตบางแบบไม่ได้ถาม) ต้องมีผู้ใหญ่หรือผู้สูงอายุอย่างน้อย 1 คน
+  if (body.travellers !== undefined && body.travellers !== null) {
+    const counts = typeof body.travellers === "object" ? TRAVELLER_TYPES.map(type => Number(body.travellers[type] ?? 0)) : [NaN];
+    const [adults = 0, , seniors = 0] = counts;
+    if (counts.some(count => !Number.isInteger(count) || count < 0) || adults + seniors < 1 || sumOf(counts) > MAX_PARTY_SIZE) {
+      errors.travellers = t(lang, "validation.travellers", { max: MAX_PARTY_SIZE });
+    }
+  }
+
+  return errors;
+};
+
+const MAX_ITINERARY_DAYS = 10;
+const MAX_STOPS_PER_DAY = 5;
+// ชื่อช่วงเวลาอยู่ใน locale key "plan.slot.<ช่วงเวลา>"
+const ITINERARY_SLOTS = {
+  morning: "🌅",
+  afternoon: "☀️",
+  evening: "🌙",
+};
+
+const ITINERARY_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    overview: { type: "STRING", description: "ภาพรวมทริปและเส้นทางจากจุดเริ่มต้นไปปลายทาง ไม่เกิน 4 ประโยค" },
+    tips: { type: "STRING", description: "คำแนะนำเรื่องงบประมาณ สภาพอากาศ และสิ่งที่ควรเตรียม ไม่เกิน 4 ประโยค" },
+    days: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          date: { type: "STRING", description: "วันที่รูปแบบ YYYY-MM-DD" },
+          theme: { type: "STRING", description: "ธีมของวันสั้น ๆ" },
+          stops: {
+            type: "ARRAY",
+            items: {
+              type: "OBJECT",
+              properties: {
+                slot: { type: "STRING", enum: Object.keys(ITINERARY_SLOTS) },
+                name: { type: "STRING", description: "ชื่อสถานที่จริงที่ค้นหาใน Google Maps ได้" },
+                province: { type: "STRING" },
+                category: { type: "STRING", enum: PLACE_CATEGORIES },
+                reason: { type: "STRING", description: "เหตุผลที่แนะนำ ไม่เกิน 1 ประโยค" },
+              },
+              required: ["slot", "name", "province", "category", "reason"],
+            },
+          },
+        },
+        required: ["date", "theme", "stops"],
+      },
+    },
+  },
+  required: ["overview", "tips", "days"],
+};
+
+const getTripDates = (travelDateStart, travelDateEnd) => {
+  const dates = [];
+  for (let dateKey = travelDateStart; dateKey <= travelDateEnd && dates.length < MAX_ITINERARY_DAYS; dateKey = addDays(dateKey, 1)) {
+    dates.push(dateKey);
+  }
+  return dates;
+};
+
+// ตรวจ JSON แผนรายวันจากโมเดล คืน null หากโครงสร้างไม่ถูกต้อง วันที่ขาดหายจะได้ stops ว่าง
+const parseItinerary = (text, dates) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    console.warn("⚠️ Model did not return valid itinerary JSON:", text);
+    return null;
+  }
+  if (!data || !Array.isArray(data.days)) return null;
+
+  return {
+    overview: typeof data.overview === "string" ? data.overview.trim() : "",
+    tips: typeof data.tips === "string" ? data.tips.trim() : "",
+    days: dates.map(date => {
+      const day = data.days.find(item => item?.date === date) || {};
+      const stops = (Array.isArray(day.stops) ? day.stops : [])
+        .filter(stop => stop && typeof stop.name === "string" && stop.name.trim())
+        .slice(0, MAX_STOPS_PER_DAY)
+        .map(stop => ({
+          slot: ITINERARY_SLOTS[stop.slot] ? stop.slot : "afternoon",
+          name: stop.name.trim().slice(0, 100),
+          province: typeof stop.province === "string" ? stop.province.trim().slice(0, 50) : "",
+          category: PLACE_CATEGORIES.includes(stop.category) ? stop.category : "other",
+          reason: typeof stop.reason === "string" ? stop.reason.trim().slice(0, 200) : "",
+        }));
+      return { date, theme: typeof day.theme === "string" ? day.theme.trim().slice(0, 60) : "", stops };
+    }),
+  };
+};
+
+// เรียงจุดแวะของวันให้ใกล้กันที่สุดโดยเริ่มจาก previousEnd และคำนวณระยะทางจากจุดก่อนหน้า
+const arrangeDayStops = (day, previousEnd) => {
+  // จุดแวะช่วงเย็น (เช่น ตลาดกลางคืน) อยู่ท้ายวันเสมอ ส่วนช่วงกลางวันเรียงใหม่แล้วแบ่งเป็นเช้า/บ่าย
+  const daytime = orderStopsByDistance(day.stops.filter(stop => stop.slot !== "evening"), previousEnd);
+  const evening = orderStopsByDistance(day.stops.filter(stop => stop.slot === "evening"), daytime[daytime.length - 1] || previousEnd);
+  daytime.forEach((stop, index) => {
+    stop.slot = index < Math.ceil(daytime.length / 2) ? "morning" : "afternoon";
+  });
+  day.stops = [...daytime, ...evening];
+
+  let previous = previousEnd;
+  for (const stop of day.stops) {
+    stop.legKm = previous ? Math.round(getDistanceKm(previous, stop) * 10) / 10 : null;
+    previous = stop;
+  }
+};
+
+// ร้านอาหารคะแนนสูงสุดใกล้ anchor สำหรับมื้อกลางวันของแผนรายวัน
+const findMealStop = async (anchor, language = DEFAULT_LANGUAGE) => {
+  const [restaurant] = await searchNearbyPlaces(anchor, { type: "restaurant", radius: 2000, language, limit: 1 });
+  if (!restaurant) return null;
+  return {
+    name: restaurant.name,
+    placeId: restaurant.placeId,
+    address: restaurant.address,
+    latitude: restaurant.latitude,
+    longitude: restaurant.longitude,
+    rating: restaurant.rating,
+    priceLevel: restaurant.priceLevel ?? null,
+    distanceKm: restaurant.distanceKm,
+  };
+};
+
+// ค้นหาพิกัดของทุกจุดแวะ เรียงจุดแวะแต่ละวันให้ใกล้กันที่สุด เลือกร้านมื้อกลางวันหลังจุดแวะช่วงเช้า และที่พักใกล้จุดสุดท้ายของวัน
+const resolveItineraryRoutes = async (days, origin, language = DEFAULT_LANGUAGE) => {
+  const resolvedDays = await Promise.all(days.map(async day => {
+    const locations = await Promise.all(
+      day.stops.map(stop => getLocationFromGooglePlaces(stop.province ? `${stop.name} ${stop.province}` : stop.name, { language }))
+    );
+    const stops = day.stops
+      .map((stop, index) => locations[index] && {
+        ...stop,
+        name: locations[index].name,
+        placeId: locations[index].placeId,
+        latitude: locations[index].latitude,
+        longitude: locations[index].longitude,
+        address: locations[index].address,
+        rating: locations[index].rating,
+        priceLevel: locations[index].priceLevel ?? null,
+      })
+      .filter(Boolean);
+    if (stops.length < day.stops.length) {
+      console.warn(`⚠️ ${day.stops.length - stops.length} stops on ${day.date} could not be resolved and were dropped`);
+    }
+    return { ...day, stops };
+  }));
+
+  let previousEnd = origin;
+  for (const day of resolvedDays) {
+    arrangeDayStops(day, previousEnd);
+
+    const lastMorningStop = day.stops.filter(stop => stop.slot === "morning").pop();
+    day.lunch = lastMorningStop ? await findMealStop(lastMorningStop, language) : null;
+
+    const lastStop = day.stops[day.stops.length - 1];
+    day.hotel = null;
+    if (lastStop) {
+      const hotels = await getHotelsNearPlace(lastStop.name, { location: lastStop, radius: 5000, language });
+      const nearest = hotels
+        .filter(hotel => hotel.latitude && hotel.longitude)
+        .sort((a, b) => getDistanceKm(lastStop, a) - getDistanceKm(lastStop, b))[0];
+      if (nearest) {
+        day.hotel = {
+          name: nearest.name,
+          address: nearest.address,
+          latitude: nearest.latitude,
+          longitude: nearest.longitude,
+          rating: nearest.rating,
+          priceLevel: nearest.priceLevel ?? null,
+          distanceKm: Math.round(getDistanceKm(lastStop, nearest) * 10) / 10,
+        };
+      }
+    }
+    previousEnd = day.hotel || lastStop || previousEnd;
+  }
+  return resolvedDays;
+};
+
+// เพิ่มสถานที่ลงในวันที่มีจุดแวะใกล้ที่สุด (วันที่ยังไม่เต็ม) แล้วจัดลำดับวันนั้นใหม่ คืน index ของวัน หรือ -1 หากทุกวันเต็ม
+const addPlaceToItinerary = (itinerary, place) => {
+  const distanceToDay = (day) => (day.stops.length > 0 ? Math.min(...day.stops.map(stop => getDistanceKm(stop, place))) : Infinity);
+  let dayIndex = -1;
+  itinerary.days.forEach((day, index) => {
+    if (day.stops.length >= MAX_STOPS_PER_DAY) return;
+    if (dayIndex === -1 || distanceToDay(day) < distanceToDay(itinerary.days[dayIndex])) dayIndex = index;
+  });
+  if (dayIndex === -1) return -1;
+
+  const day = itinerary.days[dayIndex];
+  day.stops.push({
+    slot: "afternoon",
+    name: place.name,
+    province: findNorthernProvince(place.address) || "",
+    category: "other",
+    reason: "",
+    placeId: place.placeId,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    address: place.address || "",
+    rating: place.rating ?? "N/A",
+  });
+  const previousDay = itinerary.days[dayIndex - 1];
+  arrangeDayStops(day, previousDay ? previousDay.hotel || previousDay.stops[previousDay.stops.length - 1] || null : null);
+  return dayIndex;
+};
+
+// ตารางค่าใช้จ่ายโดยประมาณ (บาท) แทนที่บางตารางได้ด้วยไฟล์ JSON ที่ TRAVEL_COSTS_FILE ชี้ไป เช่น { "entryFees": { "temple": 100 } }
+const DEFAULT_TRAVEL_COSTS = {
+  // ค่าห้องต่อคืนตาม price_level 0-4 ของ Google Places ห้องละ roomCapacity คน
+  lodgingPerRoomNight: [500, 900, 1800, 3500, 7000],
+  roomCapacity: 2,
+  // มื้อกลางวันต่อคนตาม price_level ของร้านในแผน ส่วนมื้ออื่นของวันคิดเหมาต่อคน
+  mealPerPerson: [60, 120, 300, 700, 1500],
+  otherMealsPerPersonDay: 300,
+  // price_level ที่ใช้เมื่อ Google ไม่มีข้อมูลราคา
+  defaultPriceLevel: { lodging: 2, meal: 1 },
+  // ในพื้นที่: มาด้วยรถยนต์คิดค่าน้ำมันต่อกิโลเมตร นอกนั้นเรียกรถแดงหรือแท็กซี่ทุกช่วง คิดต่อคัน
+  localTransport: { carPerKm: 4, rideBaseFare: 40, ridePerKm: 12, vehicleCapacity: 4 },
+  // ไป-กลับระหว่างเมืองตาม id ใน PLAN_OPTIONS.transport คิดต่อคน ยกเว้น perVehicle
+  intercity: {
+    car: { perKm: 4, perVehicle: true },
+    train: { perKm: 1.5 },
+    plane: { base: 1200, perKm: 1.8 },
+    bus: { perKm: 1.2 },
+  },
+  // ระยะทางถนนยาวกว่าระยะเส้นตรงระหว่างเมือง
+  roadDistanceFactor: 1.3,
+  // ค่าเข้าชมต่อคนตามหมวดของจุดแวะ (PLACE_CATEGORIES)
+  entryFees: { nature: 100, culture: 100, temple: 50, adventure: 800, cafe: 0, market: 0, viewpoint: 50, other: 50 },
+  // สัดส่วนค่าใช้จ่ายต่อคนของเด็กและผู้สูงอายุเทียบกับผู้ใหญ่ตามหมวด หมวดที่ไม่ระบุคิดเต็ม
+  travellerFactors: {
+    children: { food: 0.6, entryFees: 0.5, intercity: 0.75 },
+    seniors: { entryFees: 0.5 },
+  },
+};
+
+const loadTravelCosts = () => {
+  if (!process.env.TRAVEL_COSTS_FILE) return DEFAULT_TRAVEL_COSTS;
+  try {
+    const overrides = JSON.parse(fs.readFileSync(path.resolve(__dirname, process.env.TRAVEL_COSTS_FILE), "utf8"));
+    console.log(`💰 Loaded travel costs from ${process.env.TRAVEL_COSTS_FILE}`);
+    return Object.fromEntries(Object.entries(DEFAULT_TRAVEL_COSTS).map(([key, value]) => {
+      const override = overrides[key];
+      if (override === undefined) return [key, value];
+      return [key, value && typeof value === "object" && !Array.isArray(value) ? { ...value, ...override } : override];
+    }));
+  } catch (error) {
+    console.error(`❌ Failed to load TRAVEL_COSTS_FILE ${process.env.TRAVEL_COSTS_FILE}:`, error.message);
+    process.exit(1);
+  }
+};
+
+const TRAVEL_COSTS = loadTravelCosts();
+const BUDGET_CATEGORIES = ["lodging", "food", "localTransport", "intercity", "entryFees"];
+
+const sumOf = (values) => values.reduce((total, value) => total + value, 0);
+const getPricedCost = (table, priceLevel, defaultLevel) => table[Number.isInteger(priceLevel) ? priceLevel : defaultLevel] ?? table[defaultLevel];
+
+// จำนวนคนที่คิดค่าใช้จ่ายเต็มราคาในหมวด category เช่น เด็ก 2 คนคิดค่าอาหารเท่าผู้ใหญ่ 1.2 คน
+const getChargedPeople = (travellers, category) =>
+  sumOf(TRAVELLER_TYPES.map(type => travellers[type] * (TRAVEL_COSTS.travellerFactors[type]?.[category] ?? 1)));
+
+// ค่าเดินทางไป-กลับระหว่างเมือง คืน null เมื่อไม่รู้ระยะทางหรือไม่มีอัตราของวิธีเดินทางนั้น
+const getIntercityCost = (transportId, distanceKm, travellers) => {
+  const fare = TRAVEL_COSTS.intercity[transportId];
+  if (!fare || typeof distanceKm !== "number") return null;
+  const km = transportId === "plane" ? distanceKm : distanceKm * TRAVEL_COSTS.roadDistanceFactor;
+  const units = fare.perVehicle
+    ? Math.ceil(sumOf(Object.values(travellers)) / TRAVEL_COSTS.localTransport.vehicleCapacity)
+    : getChargedPeople(travellers, "intercity");
+  return Math.round(((fare.base || 0) + km * fare.perKm) * units * 2);
+};
+
+// ประมาณค่าใช้จ่ายของแผนรายวัน แยกตามวันและหมวด พร้อมผลเทียบกับงบ และทางเลือกที่ถูกกว่าเมื่อเกินงบ
+// itinerary.intercityKm คือระยะเส้นตรงจากจุดเริ่มต้นถึงปลายทาง (แผนเก่าไม่มี จึงไม่คิดค่าเดินทางระหว่างเมือง)
+const estimateTripCost = (inputs, itinerary) => {
+  const costs = TRAVEL_COSTS;
+  const travellers = getTravellers(inputs);
+  const people = getPartySize(inputs);
+  const foodPeople = getChargedPeople(travellers, "food");
+  const entryPeople = getChargedPeople(travellers, "entryFees");
+  const rooms = Math.ceil(people / costs.roomCapacity);
+  const vehicles = Math.ceil(people / costs.localTransport.vehicleCapacity);
+  const transportId = getPlanOptionId("transport", inputs.transport);
+  const entryFeeOf = (stop) => costs.entryFees[stop.category] ?? costs.entryFees.other;
+
+  const days = itinerary.days.map((day, index) => {
+    // คืนสุดท้ายไม่ต้องพัก
+    const lodging = index < itinerary.days.length - 1
+      ? rooms * getPricedCost(costs.lodgingPerRoomNight, day.hotel?.priceLevel, costs.defaultPriceLevel.lodging)
+      : 0;
+    const food = foodPeople * (costs.otherMealsPerPersonDay + getPricedCost(costs.mealPerPerson, day.lunch?.priceLevel, costs.defaultPriceLevel.meal));
+    const legs = [...day.stops.map(stop => stop.legKm), day.hotel?.distanceKm].filter(km => typeof km === "number");
+    const localTransport = transportId === "car"
+      ? vehicles * sumOf(legs) * costs.localTransport.carPerKm
+      : vehicles * sumOf(legs.map(km => costs.localTransport.rideBaseFare + km * costs.localTransport.ridePerKm));
+    const entryFees = entryPeople * sumOf(day.stops.map(entryFeeOf));
+    const items = { lodging, food: Math.round(food), localTransport: Math.round(localTransport), entryFees: Math.round(entryFees) };
+    return { date: day.date, ...items, total: sumOf(Object.values(items)) };
+  });
+
+  const intercity = getIntercityCost(transportId, itinerary.intercityKm, travellers);
+  const totals = Object.fromEntries(BUDGET_CATEGORIES.map(category => [
+    category,
+    category === "intercity" ? intercity : sumOf(days.map(day => day[category])),
+  ]));
+  const total = sumOf(Object.values(totals).filter(value => value !== null));
+  const budget = Number(inputs.budget) || 0;
+
+  const swaps = [];
+  if (total > budget) {
+    const nights = days.filter(day => day.lodging > 0).length;
+    swaps.push({ type: "lodging", saving: totals.lodging - nights * rooms * costs.lodgingPerRoomNight[1] });
+    swaps.push({
+      type: "food",
+      saving: foodPeople * sumOf(itinerary.days.map(day =>
+        getPricedCost(costs.mealPerPerson, day.lunch?.priceLevel, costs.defaultPriceLevel.meal) - costs.mealPerPerson[0])),
+    });
+    swaps.push({
+      type: "activities",
+      saving: entryPeople * sumOf(itinerary.days.flatMap(day => day.stops.map(stop => Math.max(entryFeeOf(stop) - costs.entryFees.nature, 0)))),
+    });
+    if (intercity !== null) {
+      const [cheapest] = Object.keys(costs.intercity)
+        .map(id => ({ transport: id, cost: getIntercityCost(id, itinerary.intercityKm, travellers) }))
+        .sort((a, b) => a.cost - b.cost);
+      if (cheapest.transport !== transportId) swaps.push({ type: "transport", transport: cheapest.transport, saving: intercity - cheapest.cost });
+    }
+  }
+
+  return {
+    people,
+    travellers,
+    days,
+    totals,
+    total,
+    perPerson: Math.round(total / people),
+    budget,
+    difference: budget - total,
+    overBudget: total > budget,
+    swaps: swaps.filter(swap => swap.saving > 0).sort((a, b) => b.saving - a.saving).slice(0, 3),
+  };
+};
+
+// สร้างแผนการเดินทางรายวันจากข้อมูลที่ผ่าน validateTravelPlanInput แล้ว ข้อความในแผนเขียนเป็นภาษา language
+// chatId ใช้เก็บประวัติสนทนา (userId หรือ groupId ของแผนกลุ่ม) mustVisit: ชื่อสถานที่ที่ต้องอยู่ในแผน เช่น สถานที่ที่กลุ่มโหวต
+const generateTravelPlan = async (chatId, inputs, { language = DEFAULT_LANGUAGE, mustVisit = [] } = {}) => {
+  const { startLocation, destination, budget, preference, travelWith, transport, travelDateStart, travelDateEnd } = inputs;
+  const travellers = getTravellers(inputs);
+  const people = getPartySize(inputs);
+  const budgetPerPerson = budget / people;
+  let additionalPrompt = "";
+  if (budgetPerPerson < 1000) {
+    console.warn(`⚠️ Budget too low: ${budget} THB for ${people} people`);
+    additionalPrompt = "\nงบประมาณอาจไม่เพียงพอ แนะนำสถานที่ราคาประหยัดเพิ่มเติม";
+  }
+  if (travellers.children > 0 || travellers.seniors > 0) {
+    additionalPrompt += "\nมีเด็กหรือผู้สูงอายุร่วมทริป เลือกสถานที่ที่เดินทางสะดวก ไม่ต้องเดินหรือปีนมาก และไม่จัดตารางแน่นเกินไป";
+  }
+  if (mustVisit.length > 0) {
+    additionalPrompt += `\nต้องมีสถานที่เหล่านี้ในแผน (เรียงตามความนิยมของสมาชิก): ${mustVisit.join(", ")}`;
+  }
+
+  const [destinationLocation, startPoint] = await Promise.all([
+    getLocationFromGooglePlaces(destination, { language }),
+    getLocationFromGooglePlaces(startLocation, { type: "locality", language }),
+  ]);
+  const forecast = destinationLocation
+    ? await getWeatherForecast(destinationLocation.latitude, destinationLocation.longitude, { startDate: travelDateStart, endDate: travelDateEnd })
+    : null;
+  const dates = getTripDates(travelDateStart, travelDateEnd);
+
+  const aiPrompt = `
+    ช่วยวางแผนการท่องเที่ยวแบบรายวันในประเทศไทยโดยอิงจากข้อมูลต่อไปนี้:
+    - จุดเริ่มต้น: ${startLocation}
+    - ปลายทาง: ${destination}
+    - งบประมาณ: ${budget} บาท (สำหรับ ${people} คน)
+    - ความชอบ: ${preference}
+    - เดินทางกับ: ${travelWith}
+    - ผู้เดินทาง: ผู้ใหญ่ ${travellers.adults} คน เด็ก ${travellers.children} คน ผู้สูงอายุ ${travellers.seniors} คน
+    - วิธีการเดินทาง: ${transport}
+    - วันที่ต้องวางแผน: ${dates.join(", ")}
+    - พยากรณ์อากาศที่ปลายทาง:
+    ${formatForecastForPrompt(forecast)}
+    วางแผนทุกวันตามวันที่ข้างต้น วันละ 1 จุดแวะต่อช่วงเวลา (morning, afternoon, evening) ช่วงเย็นเหมาะกับร้านอาหาร ถนนคนเดิน หรือตลาดกลางคืน
+    ใช้สถานที่จริงใน ${destination} หรือใกล้เคียง ไม่ซ้ำกันระหว่างวัน และเหมาะกับความชอบและงบประมาณ
+    วันแรกคำนึงถึงเวลาเดินทางจาก ${startLocation} ด้วย ${transport} และวันสุดท้ายเผื่อเวลาเดินทางกลับ
+    ปรับกิจกรรมให้เหมาะกับสภาพอากาศที่คาดการณ์ เช่น เลือกสถานที่ในร่มในวันที่มีโอกาสฝนสูง
+    เขียน overview, tips, theme และ reason เป็นภาษา ${LANGUAGES[language].promptName}
+    ${additionalPrompt}
+  `;
+
+  console.log(`📝 Sending prompt to AI for chat ${chatId}: ${aiPrompt}`);
+  const aiResponse = await getAIResponse(chatId, aiPrompt, [], { feature: "itinerary", responseSchema: ITINERARY_SCHEMA, language });
+  const parsed = parseItinerary(aiResponse, dates);
+  if (!parsed) {
+    // โมเดลตอบไม่ตรง schema: ส่งเฉพาะข้อความ (ถ้าไม่ใช่ JSON ที่เสีย) โดยไม่มีแผนรายวัน
+    const content = aiResponse.trim().startsWith("{") ? t(language, "plan.generateFailed") : aiResponse;
+    return { content, itinerary: null, forecast, destinationName: destinationLocation?.name || destination };
+  }
+
+  const days = await resolveItineraryRoutes(parsed.days, destinationLocation, language);
+  const truncatedNote = dates[dates.length - 1] < travelDateEnd ? `\n\n${t(language, "plan.truncated", { days: MAX_ITINERARY_DAYS })}` : "";
+  console.log(`🤖 Itinerary for chat ${chatId}: ${days.map(day => `${day.date}: ${day.stops.map(stop => stop.name).join(" → ")}`).join(" | ")}`);
+
+  return {
+    content: `${parsed.overview}\n\n💡 ${parsed.tips}${truncatedNote}`.trim(),
+    // ระยะเส้นตรงระหว่างเมือง ใช้ประมาณค่าเดินทางไป-กลับใน estimateTripCost
+    itinerary: { days, intercityKm: startPoint && destinationLocation ? Math.round(getDistanceKm(startPoint, destinationLocation)) : null },
+    forecast,
+    destinationName: destinationLocation?.name || destination,
+  };
+};
+
+// LINE จำกัดข้อความ text ไว้ที่ 5000 ตัวอักษร
+const LINE_TEXT_LIMIT = 5000;
+const truncateForLine = (text) => (text.length > LINE_TEXT_LIMIT ? `${text.slice(0, LINE_TEXT_LIMIT - 1)}…` : text);
+
+const createGoogleMapsDirectionsUrl = (points) => {
+  if (points.length < 2) return null;
+  const toParam = (point) => `${point.latitude},${point.longitude}`;
+  const waypoints = points.slice(1, -1).map(toParam).join("|");
+  return `https://www.google.com/maps/dir/?api=1&origin=${toParam(points[0])}&destination=${toParam(points[points.length - 1])}` +
+    (waypoints ? `&waypoints=${encodeURIComponent(waypoints)}` : "") + "&travelmode=driving";
+};
+
+// dayOffset: ลำดับวันของวันแรกใน itinerary.days เมื่อส่งเพียงบางวันของทริป
+const createItineraryCarousel = (itinerary, forecast = null, lang = DEFAULT_LANGUAGE, { dayOffset = 0 } = {}) => {
+  const bubbles = itinerary.days.map((day, index) => {
+    const dayForecast = forecast?.daily.find(item => item.date === day.date);
+    const dateLabel = formatDayLabel(day.date, lang);
+    const stopContents = day.stops.length > 0
+      ? day.stops.map(stop => ({
+        type: "box",
+        layout: "vertical",
+        contents: [
+          { type: "text", text: `${ITINERARY_SLOTS[stop.slot]} ${t(lang, `plan.slot.${stop.slot}`)} ${stop.name}`, weight: "bold", size: "sm", wrap: true },
+          ...(stop.reason ? [{ type: "text", text: stop.reason, size: "xs", color: "#666666", wrap: true }] : []),
+          ...(stop.legKm !== null && stop.legKm !== undefined ? [{ type: "text", text: t(lang, "plan.leg", { km: stop.legKm }), size: "xxs", color: "#999999" }] : []),
+        ],
+      }))
+      : [{ type: "text", text: t(lang, "plan.freeDay"), size: "sm", wrap: true }];
+
+    const subtitle = [day.theme, dayForecast && `${describeWeatherCode(dayForecast.weatherCode).icon} ${Math.round(dayForecast.tempMin)}°-${Math.round(dayForecast.tempMax)}°`]
+      .filter(Boolean).join(" • ");
+    // มื้อกลางวันอยู่ต่อจากจุดแวะช่วงเช้า (แผนที่สร้างก่อนมีมื้ออาหารไม่มี day.lunch)
+    const lunchIndex = day.lunch ? day.stops.filter(stop => stop.slot === "morning").length : -1;
+    if (lunchIndex > 0) {
+      stopContents.splice(lunchIndex, 0, {
+        type: "box",
+        layout: "vertical",
+        contents: [
+          { type: "text", text: t(lang, "plan.lunch", { name: day.lunch.name }), weight: "bold", size: "sm", wrap: true },
+          { type: "text", text: t(lang, "plan.lunchDetails", { rating: day.lunch.rating || "N/A", km: day.lunch.distanceKm }), size: "xs", color: "#666666", wrap: true },
+        ],
+      });
+    }
+    const stopPoints = lunchIndex > 0 ? [...day.stops.slice(0, lunchIndex), day.lunch, ...day.stops.slice(lunchIndex)] : day.stops;
+    const routePoints = [...stopPoints, ...(day.hotel ? [day.hotel] : [])];
+    const directionsUrl = createGoogleMapsDirectionsUrl(routePoints);
+
+    return {
+      type: "bubble",
+      header: {
+        type: "box",
+        layout: "vertical",
+        backgroundColor: "#1DB446",
+        contents: [
+          { type: "text", text: t(lang, "plan.day", { day: dayOffset + index + 1, date: dateLabel }), weight: "bold", size: "md", color: "#FFFFFF" },
+          ...(subtitle ? [{ type: "text", text: subtitle, size: "xs", color: "#FFFFFF", wrap: true }] : []),
+        ],
+      },
+      body: {
+        type: "box",
+        layout: "vertical",
+        spacing: "md",
+        contents: [
+          ...stopContents,
+          ...(day.hotel ? [
+            { type: "separator" },
+            { type: "text", text: t(lang, "plan.hotel", { name: day.hotel.name }), weight: "bold", size: "sm", wrap: true },
+            { type: "text", text: t(lang, "plan.hotelDetails", { rating: day.hotel.rating || "N/A", km: day.hotel.distanceKm }), size: "xs", color: "#666666", wrap: true },
+          ] : []),
+        ],
+      },
+      ...(directionsUrl ? {
+        footer: {
+          type: "box",
+          layout: "vertical",
+          contents: [
+            {
+              type: "button",
+              action: { type: "uri", label: t(lang, "plan.directions"), uri: directionsUrl },
+              style: "primary",
+              color: "#1DB446",
+            },
+          ],
+        },
+      } : {}),
+    };
+  });
+
+  return {
+    type: "flex",
+    altText: t(lang, "plan.itineraryAlt"),
+    contents: { type: "carousel", contents: bubbles },
+  };
+};
+
+const BUDGET_CATEGORY_ICONS = { lodging: "🏨", food: "🍜", localTransport: "🚕", intercity: "🚆", entryFees: "🎟️" };
+
+const formatBaht = (amount, lang) => t(lang, "budget.amount", { amount: Math.round(amount).toLocaleString(LANGUAGES[lang].dateLocale) });
+
+// สรุปค่าใช้จ่ายโดยประมาณจาก estimateTripCost: รายหมวด รายวัน ต่อคน ผลเทียบงบ และทางเลือกที่ประหยัดกว่า
+const createBudgetFlexMessage = (estimate, transport, lang = DEFAULT_LANGUAGE) => {
+  const row = (label, amount, style = {}) => ({
+    type: "box",
+    layout: "horizontal",
+    contents: [
+      { type: "text", text: label, size: "sm", flex: 5, wrap: true, ...style },
+      { type: "text", text: amount, size: "sm", flex: 3, align: "end", ...style },
+    ],
+  });
+  const transportName = t(lang, `planOption.${getPlanOptionId("transport", transport) || "car"}`);
+  const categoryRows = BUDGET_CATEGORIES
+    .filter(category => estimate.totals[category] !== null)
+    .map(category => row(
+      `${BUDGET_CATEGORY_ICONS[category]} ${t(lang, `budget.category.${category}`, { transport: transportName })}`,
+      formatBaht(estimate.totals[category], lang),
+    ));
+  const dayRows = estimate.days.map((day, index) => row(
+    t(lang, "budget.day", { day: index + 1 }),
+    formatBaht(day.total, lang),
+    { size: "xs", color: "#666666" },
+  ));
+  const verdict = estimate.overBudget
+    ? t(lang, "budget.over", { amount: formatBaht(-estimate.difference, lang), budget: formatBaht(estimate.budget, lang) })
+    : t(lang, "budget.under", { amount: formatBaht(estimate.difference, lang), budget: formatBaht(estimate.budget, lang) });
+  const swapLines = estimate.swaps.map(swap => `• ${t(lang, `budget.swap.${swap.type}`, {
+    saving: formatBaht(swap.saving, lang),
+    transport: swap.transport ? t(lang, `planOption.${swap.transport}`) : "",
+  })}`);
+
+  return {
+    type: "flex",
+    altText: t(lang, "budget.alt", { total: formatBaht(estimate.total, lang) }),
+    contents: {
+      type: "bubble",
+      header: {
+        type: "box",
+        layout: "vertical",
+        backgroundColor: estimate.overBudget ? "#DC2626" : "#1DB446",
+        contents: [
+          { type: "text", text: t(lang, "budget.title"), weight: "bold", size: "md", color: "#FFFFFF" },
+          { type: "text", text: verdict, size: "sm", color: "#FFFFFF", wrap: true },
+        ],
+      },
+      body: {
+        type: "box",
+        layout: "vertical",
+        spacing: "sm",
+        contents: [
+          ...categoryRows,
+          { type: "separator" },
+          row(t(lang, "budget.total"), formatBaht(estimate.total, lang), { weight: "bold" }),
+          row(t(lang, "budget.perPerson", { people: estimate.people }), formatBaht(estimate.perPerson, lang)),
+          { type: "text", text: t(lang, "budget.party", { party: formatTravellers(estimate.travellers, lang) }), size: "xs", color: "#666666", wrap: true },
+          { type: "separator" },
+          { type: "text", text: t(lang, "budget.byDay"), weight: "bold", size: "sm" },
+          ...dayRows,
+          ...(swapLines.length > 0 ? [
+            { type: "separator" },
+            { type: "text", text: t(lang, "budget.swapsTitle"), weight: "bold", size: "sm" },
+            { type: "text", text: swapLines.join("\n"), size: "xs", wrap: true },
+          ] : []),
+          { type: "text", text: t(lang, "budget.note"), size: "xxs", color: "#999999", wrap: true },
+        ],
+      },
+    },
+  };
+};
+
+const createTravelPlanMessages = (inputs, content, { itinerary = null, forecast = null, destinationName = inputs.destination, lang = DEFAULT_LANGUAGE } = {}) => {
+  const messages = [
+    {
+      type: "text",
+      text: truncateForLine(`${t(lang, "plan.header", { start: inputs.startLocation, destination: inputs.destination })}\n${content}\n\n${t(lang, "plan.footer")}`),
+    },
+  ];
+  if (itinerary && itinerary.days.length > 0) {
+    messages.push(createItineraryCarousel(itinerary, forecast, lang));
+    messages.push(createBudgetFlexMessage(estimateTripCost(inputs, itinerary), inputs.transport, lang));
+  }
+  if (forecast && forecast.daily.length > 0) {
+    messages.push(createWeatherFlexMessage(destinationName, forecast, lang));
+  }
+
+  const destinationProvince = findNorthernProvince(inputs.destination);
+  if (destinationProvince) {
+    messages.push({ type: "text", text: t(lang, "plan.aqiHint", { province: getProvinceName(destinationProvince, lang) }) });
+  }
+  return messages;
+};
+
+const PLAN_INPUT_FIELDS = ["startLocation", "destination", "budget", "preference", "travelWith", "travellers", "transport", "travelDateStart", "travelDateEnd"];
+
+const pickPlanInputs = (source) => {
+  const inputs = Object.fromEntries(PLAN_INPUT_FIELDS.map(field => [field, source[field]]));
+  inputs.budget = Number(inputs.budget);
+  inputs.travellers = source.travellers
+    ? Object.fromEntries(TRAVELLER_TYPES.map(type => [type, Number(source.travellers[type]) || 0]))
+    : getTravellers({ travelWith: source.travelWith });
+  return inputs;
+};
+
+// บันทึกแผนใหม่ หรือบันทึกทับแผนเดิมเมื่อระบุ planId (นับเป็น revision ใหม่)
+const savePlan = async (userId, inputs, { content, itinerary = null }, planId = null) => {
+  const existing = planId ? await planRepository.get(planId) : null;
+  const now = new Date();
+  const savedPlanId = await planRepository.save(planId, {
+    userId,
+    inputs,
+    content,
+    itinerary,
+    revision: existing ? (existing.revision || 1) + 1 : 1,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  });
+  await userRepository.merge(userId, {
+    activePlanId: savedPlanId,
+    upcomingTrip: {
+      startLocation: inputs.startLocation,
+      destination: inputs.destination,
+      travelDateStart: inputs.travelDateStart,
+      travelDateEnd: inputs.travelDateEnd,
+    },
+    lastUpdated: now,
+  });
+  console.log(`💾 Saved plan ${savedPlanId} for user ${userId}`);
+  await scheduleTripJobs(userId, savedPlanId, { inputs, itinerary });
+  return savedPlanId;
+};
+
+// แผนที่สมาชิกกลุ่มสรุปร่วมกัน ไม่ผูกกับผู้ใช้คนใด จึงไม่นับเป็นข้อมูลส่วนตัวและลบพร้อมข้อมูลของกลุ่ม
+const saveGroupPlan = async (chatId, inputs, { content, itinerary = null }, votes) => {
+  const now = new Date();
+  const savedPlanId = await planRepository.save(null, { groupId: chatId, inputs, content, itinerary, votes, revision: 1, createdAt: now, updatedAt: now });
+  await groupRepository.update(chatId, { activePlanId: savedPlanId, groupPlan: null });
+  console.log(`💾 Saved group plan ${savedPlanId} for chat ${chatId}`);
+  return savedPlanId;
+};
+
+// คืนแผนของผู้ใช้ (ตรวจเจ้าของด้วย) หรือ null หากไม่พบ
+const getUserPlan = async (userId, planId) => {
+  if (!planId) return null;
+  const plan = await planRepository.get(planId);
+  return plan?.userId === userId ? plan : null;
+};
+
+const listUserPlans = async (userId, limit = 10) => {
+  const plans = await planRepository.listByUser(userId);
+  return plans
+    .sort((a, b) => (b.updatedAt?.getTime?.() || 0) - (a.updatedAt?.getTime?.() || 0))
+    .slice(0, limit);
+};
+
+const getActivePlan = async (userId) => {
+  const user = await userRepository.get(userId);
+  const activePlan = await getUserPlan(userId, user?.activePlanId);
+  return activePlan || (await listUserPlans(userId, 1))[0] || null;
+};
+
+const PLAN_FIELD_ALIASES = {
+  budget: ["budget", "งบ", "งบประมาณ"],
+  destination: ["destination", "ปลายทาง"],
+  startLocation: ["start", "origin", "จุดเริ่มต้น", "ต้นทาง"],
+  preference: ["preference", "preferences", "ความชอบ"],
+  travelWith: ["companions", "travel with", "เดินทางกับ", "ผู้ร่วมเดินทาง"],
+  transport: ["transport", "วิธีเดินทาง", "วิธีการเดินทาง", "การเดินทาง"],
+  travelDateStart: ["start date", "วันไป", "วันเดินทางไป"],
+  travelDateEnd: ["end date", "return date", "วันกลับ", "วันเดินทางกลับ"],
+  travellers: ["travellers", "travelers", "party", "party size", "จำนวนคน", "ผู้เดินทาง", "จำนวนผู้เดินทาง"],
+};
+
+const PLAN_FIELD_ARG_TYPES = { budget: "budget", travelDateStart: "date", travelDateEnd: "date", travellers: "travellers" };
+
+// แยกคำสั่งแก้ไขแผน เช่น "change budget to 5000" หรือ "แก้งบเป็น 5000" ข้อผิดพลาดของค่าเป็นข้อความในภาษา lang
+const parsePlanFieldChange = (text, lang = DEFAULT_LANGUAGE) => {
+  const match = text.trim().match(/^(?:change|แก้ไข|แก้|เปลี่ยน)\s*(.+?)\s*(?:\sto\s|เป็น|=)\s*(.+)$/i);
+  if (!match) return null;
+  const fieldName = match[1].trim().toLowerCase();
+  const field = Object.keys(PLAN_FIELD_ALIASES).find(key => PLAN_FIELD_ALIASES[key].includes(fieldName));
+  if (!field) return null;
+  const parsed = parseArgValue(PLAN_FIELD_ARG_TYPES[field] || "text", match[2].trim(), lang);
+  return parsed.error ? { field, error: parsed.error } : { field, value: parsed.value };
+};
+
+// บทสนทนาหลายขั้นตอนในแชตส่วนตัว เก็บใน users.dialogue = { name, data, updatedAt }
+// handle(context, data) คืน { messages, data } (data เป็น null เมื่อจบ) หรือ null เมื่อข้อความไม่ใช่คำตอบ ให้ตอบแบบปกติแทน
+// back(context, data): ไม่บังคับ รับคำสั่งย้อนกลับ, ttlMinutes: อายุของบทสนทนานับจากคำตอบล่าสุด
+const dialogues = {};
+const DIALOGUE_TTL_MINUTES = 24 * 60;
+const DIALOGUE_CANCEL_ALIASES = ["ยกเลิก", "cancel", "取消", "キャンセル", "취소"];
+const DIALOGUE_BACK_ALIASES = ["ย้อนกลับ", "back", "返回", "戻る", "뒤로"];
+
+// ใช้ merge เพราะ users document อาจยังไม่มี (เช่น ผู้ใช้ที่เพิ่มบอทก่อนมีการบันทึกตอน follow)
+// ล้าง dialogue เดิมก่อน เพราะ merge จะรวม map ซ้อนกันและทิ้งค่าของขั้นก่อนไว้ใน data
+const saveDialogue = async (userId, name, data) => {
+  await userRepository.merge(userId, { dialogue: null });
+  if (data) await userRepository.merge(userId, { dialogue: { name, data, updatedAt: new Date() } });
+};
+
+const startDialogue = async (userId, name, data) => {
+  await saveDialogue(userId, name, data);
+  console.log(`💬 Started dialogue ${name} for user ${userId}`);
+};
+
+// บทสนทนาที่ถูกทิ้งไว้จนหมดอายุจะถูกลบ เพื่อให้ข้อความถัดไปตอบแบบปกติ
+const getActiveDialogue = async (userId) => {
+  const dialogue = (await userRepository.get(userId))?.dialogue;
+  if (!dialogue || !dialogues[dialogue.name]) return null;
+  const ttlMinutes = dialogues[dialogue.name].ttlMinutes || DIALOGUE_TTL_MINUTES;
+  if (Date.now() - dialogue.updatedAt.getTime() <= ttlMinutes * 60 * 1000) return dialogue;
+  await saveDialogue(userId, dialogue.name, null);
+  console.log(`⌛ Dialogue ${dialogue.name} for user ${userId} timed out`);
+  return null;
+};
+
+const continueDialogue = async (context, dialogue) => {
+  const { userId, text, lang } = context;
+  if (DIALOGUE_CANCEL_ALIASES.includes(text.toLowerCase())) {
+    await saveDialogue(userId, dialogue.name, null);
+    return [createTextReply(t(lang, "dialogue.cancelled"), lang)];
+  }
+  const { handle, back } = dialogues[dialogue.name];
+  const result = back && DIALOGUE_BACK_ALIASES.includes(text.toLowerCase())
+    ? await back(context, dialogue.data)
+    : await handle(context, dialogue.data);
+  // ข้อความที่ไม่ใช่คำตอบไม่ปิดบทสนทนา ผู้ใช้ถามเรื่องอื่นแล้วกลับมาตอบต่อได้จนกว่าจะหมดอายุ
+  if (!result) return null;
+  await saveDialogue(userId, dialogue.name, result.data);
+  console.log(`💬 Dialogue ${dialogue.name} for user ${userId}: ${result.data ? `waiting for ${result.data.awaiting}` : "finished"}`);
+  return result.messages;
+};
+
+// แยกคำด้วยช่องว่างหรือตัวคั่น เช่น "ธรรมชาติ, วัฒนธรรม" หรือ "family / car" แล้วเติมช่องว่างหัวท้ายไว้เทียบทั้งคำ
+const toPlanOptionTokens = (text) => ` ${text.trim().toLowerCase().replace(/[\s,，、/]+/g, " ")} `;
+
+// id ของตัวเลือกใน PLAN_OPTIONS[field] ที่พบในข้อความ ต้องตรงทั้งคำ เพื่อไม่ให้ "วัด" ใน "วัดไหนสวย" นับเป็นคำตอบ
+const findPlanOptions = (field, text) => {
+  const tokens = toPlanOptionTokens(text);
+  return Object.entries(PLAN_OPTIONS[field])
+    .filter(([id, option]) => [...Object.keys(LANGUAGES).map(code => t(code, `planOption.${id}`)), option.value, ...option.aliases]
+      .some(alias => tokens.includes(toPlanOptionTokens(alias))))
+    .map(([id]) => id);
+};
+
+// งบประมาณในคำตอบ เช่น "ต่ำกว่า 2000 บาท" หรือ "3k ต่อวัน" ตัดคำขยายออกก่อนแปลงด้วยชนิด budget
+const BUDGET_FILLER_PATTERN = /ต่ำกว่า|ไม่เกิน|ประมาณ|ราว ?ๆ|ต่อวัน|วันละ|\/วัน|under|below|less than|about|around|per day|a day|\/day|每天|以下|以内|左右|泰铢|一日|1日|バーツ|이하|정도|하루|바트/gi;
+const parseBudgetAnswer = (text) => {
+  const stripped = text.replace(BUDGET_FILLER_PATTERN, "").trim();
+  return stripped ? commandArgTypes.budget(stripped).value ?? null : null;
+};
+
+// วันที่เดียวหรือช่วงวันที่ เช่น "10/11/2026 - 12/11/2026" หรือ "25 ธ.ค. 2568 ถึง 27 ธ.ค. 2568" คืน array ของ date key หรือ null
+const parseDateRangeAnswer = (text) => {
+  const parts = text.split(/\s+(?:-|–|to)\s+|\s*(?:–|~|ถึง|至|から|부터)\s*/i)
+    .map(part => part.replace(/まで|까지/g, "").trim())
+    .filter(Boolean);
+  const dates = parts.map(parseDateArgument);
+  return parts.length > 0 && parts.length <= 2 && dates.every(Boolean) ? dates : null;
+};
+
+// ลำดับที่ถามในแชต ส่วน 4 ฟิลด์แรกตรงกับคำตอบที่คั่นด้วย | ตาม "recommend.followUp"
+const PLAN_ANSWER_FIELDS = ["dailyBudget", "preference", "travelWith", "transport", "destination", "startLocation", "travelDateStart", "travelDateEnd"];
+const PLAN_ANSWERS_TTL_MINUTES = 30;
+// ชื่อสถานที่อาจมีคำของตัวเลือกอยู่ด้วย (เช่น "วัด..." หรือ "บ้านเพื่อน") จึงใช้ข้อความทั้งหมดเป็นคำตอบของฟิลด์ที่ถามเลย
+const PLAN_PLACE_FIELDS = ["destination", "startLocation"];
+
+// แปลงคำตอบทั้งข้อความเป็นค่าของฟิลด์ที่ถามอยู่ (ใช้เมื่อหาคำที่บอกฟิลด์ไม่เจอ)
+const parsePlanAnswerField = (field, text, lang) => {
+  if (field === "dailyBudget") {
+    const budget = parseBudgetAnswer(text);
+    return budget ? { value: budget } : { error: t(lang, "validation.budget") };
+  }
+  if (field === "travelWith" || field === "transport") return { error: t(lang, `validation.${field}`) };
+  if (field === "destination") return parseArgValue("northernPlace", text, lang);
+  if (field === "travelDateStart" || field === "travelDateEnd") return parseArgValue("date", text, lang, `validation.${field}`);
+  return { value: text };
+};
+
+// แยกคำตอบหนึ่งข้อความ: คั่นด้วย | ตามลำดับที่ถาม หรือพิมพ์ทีละค่าโดยไม่เรียงก็ได้ คืน null หากไม่พบคำตอบเลยและยังไม่เคยตอบ
+const parsePlanAnswers = (text, { answers, awaiting }, lang) => {
+  const segments = text.split("|").map(segment => segment.trim()).filter(Boolean);
+  const found = {};
+  const errors = {};
+  if (segments.length === 1 && PLAN_PLACE_FIELDS.includes(awaiting)) {
+    const parsed = parsePlanAnswerField(awaiting, segments[0], lang);
+    // จังหวัดที่ไม่รู้จักถือว่าไม่ใช่คำตอบ ส่วนจุดเริ่มต้นเป็นชื่อสถานที่ใดก็ได้
+    return parsed.error ? null : { found: { [awaiting]: parsed.value }, errors };
+  }
+  segments.forEach((segment, index) => {
+    let recognized = false;
+    for (const field of ["travelWith", "transport"]) {
+      const ids = findPlanOptions(field, segment);
+      if (ids.length === 1) found[field] = ids[0];
+      if (ids.length > 1) {
+        errors[field] = t(lang, "dialogue.planAnswers.ambiguous", { options: ids.map(id => t(lang, `planOption.${id}`)).join(", ") });
+      }
+      recognized = recognized || ids.length > 0;
+    }
+    const preferences = findPlanOptions("preference", segment);
+    if (preferences.length > 0) {
+      found.preference = preferences.map(id => PLAN_OPTIONS.preference[id].value).join(", ");
+      recognized = true;
+    }
+    const budget = parseBudgetAnswer(segment);
+    if (budget) {
+      found.dailyBudget = budget;
+      recognized = true;
+    }
+    const dates = parseDateRangeAnswer(segment);
+    if (dates) {
+      const startAnswered = found.travelDateStart || (answers.travelDateStart && awaiting !== "travelDateStart");
+      if (dates.length === 2) [found.travelDateStart, found.travelDateEnd] = dates;
+      else found[startAnswered ? "travelDateEnd" : "travelDateStart"] = dates[0];
+      recognized = true;
+    }
+    if (recognized) return;
+
+    // ข้อความเดียวที่ไม่มีคำตอบที่รู้จักอาจเป็นคำถามอื่น จึงไม่เดาว่าเป็นคำตอบของข้อที่ถามอยู่
+    if (segments.length === 1) return;
+    const field = PLAN_ANSWER_FIELDS[index];
+    if (!field) return;
+    const parsed = parsePlanAnswerField(field, segment, lang);
+    if (parsed.error) errors[field] = parsed.error;
+    else found[field] = parsed.value;
+  });
+
+  if (Object.keys(found).length === 0 && Object.keys(errors).length === 0 && segments.length < 2) return null;
+  return { found, errors };
+};
+
+// งบที่ถามในแชตเป็นงบต่อวัน จึงคูณจำนวนวันของทริปก่อนส่งให้ generateTravelPlan เหมือนงบรวมจากฟอร์ม LIFF
+const toPlanInputs = (answers) => {
+  const tripDays = isValidDateKey(answers.travelDateStart) && isValidDateKey(answers.travelDateEnd)
+    ? Math.max(Math.round((new Date(answers.travelDateEnd) - new Date(answers.travelDateStart)) / (24 * 60 * 60 * 1000)) + 1, 1)
+    : 1;
+  return {
+    startLocation: answers.startLocation,
+    destination: answers.destination,
+    budget: answers.dailyBudget ? answers.dailyBudget * tripDays : undefined,
+    preference: answers.preference,
+    travelWith: PLAN_OPTIONS.travelWith[answers.travelWith]?.value,
+    transport: PLAN_OPTIONS.transport[answers.transport]?.value,
+    travelDateStart: answers.travelDateStart,
+    travelDateEnd: answers.travelDateEnd,
+  };
+};
+
+const createMessageAction = (label) => ({ type: "action", action: { type: "message", label, text: label } });
+
+// คำถามในบทสนทนา: ข้อผิดพลาดของคำตอบก่อนหน้าอยู่เหนือคำถาม quick reply มีตัวเลือก ปุ่มย้อนกลับ (เมื่อ canGoBack) และปุ่มยกเลิก
+const createDialogueQuestion = (text, { errors = [], actions = [], canGoBack = false }, lang) => ({
+  type: "text",
+  text: [...errors, text].join("\n"),
+  quickReply: {
+    items: [
+      ...actions,
+      ...(canGoBack ? [createMessageAction(t(lang, "dialogue.backLabel"))] : []),
+      createMessageAction(t(lang, "dialogue.cancelLabel")),
+    ],
+  },
+});
+
+const createPlanOptionActions = (field, lang, exclude = []) => Object.keys(PLAN_OPTIONS[field] || {})
+  .filter(id => !exclude.includes(id))
+  .map(id => createMessageAction(t(lang, `planOption.${id}`)));
+
+const createPlanAnswerQuestion = (field, errors, lang) =>
+  createDialogueQuestion(t(lang, `dialogue.planAnswers.ask.${field}`), { errors, actions: createPlanOptionActions(field, lang) }, lang);
+
+// สร้างและบันทึกแผนจากคำตอบในแชต แล้วคืนข้อความแผนชุดเดียวกับที่ส่งหลังกรอกฟอร์ม LIFF
+const createPlanFromChat = async (userId, source, lang) => {
+  const inputs = pickPlanInputs(source);
+  const generated = await generateTravelPlan(userId, inputs, { language: lang });
+  await savePlan(userId, inputs, generated);
+  return createTravelPlanMessages(inputs, generated.content, { ...generated, lang });
+};
+
+// คำตอบต่อจาก "แนะนำที่เที่ยว": งบต่อวัน | ความชอบ | ผู้ร่วมเดินทาง | วิธีเดินทาง แล้วถามส่วนที่ยังขาดจนสร้างแผนได้
+dialogues.planAnswers = {
+  ttlMinutes: PLAN_ANSWERS_TTL_MINUTES,
+  handle: async ({ userId, text, lang }, data) => {
+    const turn = parsePlanAnswers(text, data, lang);
+    if (!turn) return null;
+
+    const answers = { ...data.answers, ...turn.found };
+    const errors = { ...turn.errors };
+    const fieldErrors = validateTravelPlanInput(toPlanInputs(answers), lang);
+    for (const [inputField, error] of Object.entries(fieldErrors)) {
+      const field = inputField === "budget" ? "dailyBudget" : inputField;
+      if (answers[field] === undefined) continue;
+      errors[field] = error;
+      delete answers[field];
+    }
+
+    const next = PLAN_ANSWER_FIELDS.find(field => answers[field] === undefined);
+    if (next) {
+      return { messages: [createPlanAnswerQuestion(next, Object.values(errors), lang)], data: { answers, awaiting: next } };
+    }
+
+    return { messages: await createPlanFromChat(userId, toPlanInputs(answers), lang), data: null };
+  },
+  // ย้อนไปถามข้อก่อนหน้าข้อที่ถามอยู่ที่มีคำตอบแล้ว
+  back: async ({ lang }, data) => {
+    const previous = PLAN_ANSWER_FIELDS.slice(0, PLAN_ANSWER_FIELDS.indexOf(data.awaiting)).reverse().find(field => data.answers[field] !== undefined);
+    if (!previous) return { messages: [createPlanAnswerQuestion(data.awaiting, [], lang)], data };
+    const answers = { ...data.answers };
+    delete answers[previous];
+    return { messages: [createPlanAnswerQuestion(previous, [], lang)], data: { answers, awaiting: previous } };
+  },
+};
+
+// ลำดับคำถามของ "วางแผนทริป" เป็นฟิลด์ที่ /submit-travel-plan ต้องการ คำตอบเก็บเป็นค่าแบบเดียวกับฟอร์ม LIFF
+const PLAN_TRIP_FIELDS = ["startLocation", "destination", "travelDateStart", "travelDateEnd", "budget", "preference", "travelWith", "travellers", "transport"];
+const PLAN_TRIP_TTL_MINUTES = 30;
+// ปุ่มตัวเลือกจำนวนผู้เดินทาง [ผู้ใหญ่, เด็ก, ผู้สูงอายุ] ข้อความบนปุ่มต้องไม่เกิน 20 ตัวอักษรตามข้อจำกัดของ quick reply
+const TRAVELLER_SUGGESTIONS = [[1, 0, 0], [2, 0, 0], [2, 1, 0], [2, 2, 0], [4, 0, 0]];
+
+// ความชอบเลือกได้หลายอย่างเหมือน checkbox ในฟอร์ม จึงถามซ้ำจนกดปุ่มถัดไปหรือเลือกครบ
+const getSelectedPreferences = (preference) => Object.keys(PLAN_OPTIONS.preference)
+  .filter(id => (preference || "").split(", ").includes(PLAN_OPTIONS.preference[id].value));
+
+const isPreferenceDone = (text) => Object.keys(LANGUAGES).some(code => t(code, "dialogue.planTrip.preferenceDone").toLowerCase() === text.toLowerCase());
+
+// วันที่เลือกได้จาก datetime picker (ส่งผ่าน postback "dialogueDate") หรือพิมพ์เอง
+const createDatePickerAction = (field, min, lang) => ({
+  type: "action",
+  action: {
+    type: "datetimepicker",
+    label: t(lang, "dialogue.planTrip.pickDate"),
+    data: signPayload({ a: "dialogueDate", f: field }, POSTBACK_TTL_MS),
+    mode: "date",
+    initial: min,
+    min,
+  },
+});
+
+const createPlanTripQuestion = ({ answers, awaiting, answered }, errors, lang) => {
+  const progress = t(lang, "dialogue.planTrip.progress", { step: PLAN_TRIP_FIELDS.indexOf(awaiting) + 1, total: PLAN_TRIP_FIELDS.length });
+  let text = `${progress} ${t(lang, `dialogue.planTrip.ask.${awaiting}`)}`;
+  let actions = [];
+  if (awaiting === "destination") {
+    actions = northernProvinces.map(province => createMessageAction(getProvinceName(province, lang)));
+  } else if (awaiting === "travelDateStart" || awaiting === "travelDateEnd") {
+    const today = toDateKey(new Date());
+    const min = awaiting === "travelDateEnd" && answers.travelDateStart > today ? answers.travelDateStart : today;
+    actions = [createDatePickerAction(awaiting, min, lang)];
+  } else if (awaiting === "preference") {
+    const selected = getSelectedPreferences(answers.preference);
+    if (selected.length > 0) {
+      text += `\n${t(lang, "dialogue.planTrip.preferenceSelected", { preferences: selected.map(id => t(lang, `planOption.${id}`)).join(", ") })}`;
+    }
+    actions = [
+      ...createPlanOptionActions("preference", lang, selected),
+      ...(selected.length > 0 ? [createMessageAction(t(lang, "dialogue.planTrip.preferenceDone"))] : []),
+    ];
+  } else if (awaiting === "travellers") {
+    actions = TRAVELLER_SUGGESTIONS.map(counts => createMessageAction(
+      formatTravellers(Object.fromEntries(TRAVELLER_TYPES.map((type, index) => [type, counts[index]])), lang)
+    ));
+  } else {
+    actions = createPlanOptionActions(awaiting, lang);
+  }
+  return createDialogueQuestion(text, { errors, actions, canGoBack: answered.length > 0 }, lang);
+};
+
+// แปลงคำตอบของฟิลด์ที่ถามอยู่ คืน { found } (ค่าของฟิลด์ที่ได้ อาจมากกว่าหนึ่งฟิลด์เมื่อตอบช่วงวันที่) หรือ { error }
+const parsePlanTripAnswer = (field, text, answers, lang) => {
+  if (field === "destination") {
+    const parsed = parseArgValue("northernPlace", text, lang);
+    return parsed.error ? { error: parsed.error } : { found: { destination: parsed.value } };
+  }
+  if (field === "travelDateStart" || field === "travelDateEnd") {
+    const dates = parseDateRangeAnswer(text);
+    if (!dates) return { error: t(lang, `validation.${field}`) };
+    if (dates.length === 2) return { found: { travelDateStart: dates[0], travelDateEnd: dates[1] } };
+    return { found: { [field]: dates[0] } };
+  }
+  if (field === "budget") {
+    const budget = parseBudgetAnswer(text);
+    return budget ? { found: { budget } } : { error: t(lang, "validation.budget") };
+  }
+  if (field === "travellers") {
+    const parsed = parseArgValue("travellers", text, lang);
+    return parsed.error ? { error: parsed.error } : { found: { travellers: parsed.value } };
+  }
+  if (field === "preference") {
+    const ids = findPlanOptions("preference", text);
+    if (ids.length === 0) return { found: { preference: [answers.preference, text].filter(Boolean).join(", ") } };
+    const selected = [...new Set([...getSelectedPreferences(answers.preference), ...ids])];
+    // เรียงตามลำดับของตัวเลือกเหมือนฟอร์ม
+    const preference = Object.keys(PLAN_OPTIONS.preference).filter(id => selected.includes(id)).map(id => PLAN_OPTIONS.preference[id].value).join(", ");
+    return { found: { preference } };
+  }
+  if (field === "travelWith" || field === "transport") {
+    const ids = findPlanOptions(field, text);
+    if (ids.length > 1) return { error: t(lang, "dialogue.planAnswers.ambiguous", { options: ids.map(id => t(lang, `planOption.${id}`)).join(", ") }) };
+    return ids.length === 1 ? { found: { [field]: PLAN_OPTIONS[field][ids[0]].value } } : { error: t(lang, `validation.${field}`) };
+  }
+  return { found: { [field]: text } };
+};
+
+// ถามฟิลด์ถัดไปที่ยังไม่มีคำตอบ หรือสร้างแผนเมื่อครบทุกฟิลด์
+const planTripNextStep = async (userId, data, answers, fields, lang) => {
+  const answered = [...data.answered, ...fields.filter(field => !data.answered.includes(field))];
+  const awaiting = PLAN_TRIP_FIELDS.find(field => answers[field] === undefined);
+  if (awaiting) {
+    const next = { answers, awaiting, answered };
+    return { messages: [createPlanTripQuestion(next, [], lang)], data: next };
+  }
+  return { messages: await createPlanFromChat(userId, answers, lang), data: null };
+};
+
+// data = { answers, awaiting, answered } answered คือฟิลด์ที่ตอบแล้วตามลำดับ ใช้ย้อนกลับทีละข้อ
+dialogues.planTrip = {
+  ttlMinutes: PLAN_TRIP_TTL_MINUTES,
+  handle: async ({ userId, text, lang }, data) => {
+    const { awaiting } = data;
+    if (awaiting === "preference" && isPreferenceDone(text)) {
+      if (!data.answers.preference) return { messages: [createPlanTripQuestion(data, [t(lang, "validation.preference")], lang)], data };
+      return planTripNextStep(userId, data, data.answers, ["preference"], lang);
+    }
+
+    const parsed = parsePlanTripAnswer(awaiting, text, data.answers, lang);
+    if (parsed.error) return { messages: [createPlanTripQuestion(data, [parsed.error], lang)], data };
+
+    const answers = { ...data.answers, ...parsed.found };
+    // ตรวจเฉพาะฟิลด์ที่เพิ่งตอบ ด้วยกฎเดียวกับฟอร์ม (เช่น วันที่ผ่านมาแล้ว หรือวันกลับก่อนวันไป)
+    const fieldErrors = validateTravelPlanInput(answers, lang);
+    const errors = Object.keys(parsed.found).filter(field => fieldErrors[field]).map(field => fieldErrors[field]);
+    if (errors.length > 0) return { messages: [createPlanTripQuestion(data, errors, lang)], data };
+
+    // ความชอบถามซ้ำจนกด "ถัดไป" ยกเว้นพิมพ์ความชอบอื่นที่ไม่ใช่ตัวเลือก หรือเลือกครบทุกอย่างแล้ว
+    const pickedOption = awaiting === "preference" && findPlanOptions("preference", text).length > 0;
+    if (pickedOption && getSelectedPreferences(answers.preference).length < Object.keys(PLAN_OPTIONS.preference).length) {
+      const next = { ...data, answers };
+      return { messages: [createPlanTripQuestion(next, [], lang)], data: next };
+    }
+    return planTripNextStep(userId, data, answers, Object.keys(parsed.found), lang);
+  },
+  back: async ({ lang }, data) => {
+    const answered = [...data.answered];
+    const field = answered.pop();
+    if (!field) return { messages: [createPlanTripQuestion(data, [], lang)], data };
+    // ลบทั้งคำตอบที่ย้อนไปแก้ และคำตอบที่ยังเลือกไม่เสร็จของข้อปัจจุบัน (เช่น ความชอบที่เลือกไปบางส่วน)
+    const answers = { ...data.answers };
+    delete answers[field];
+    delete answers[data.awaiting];
+    const next = { answers, awaiting: field, answered };
+    return { messages: [createPlanTripQuestion(next, [], lang)], data: next };
+  },
+};
+
+const createPlanListCarousel = (plans, lang = DEFAULT_LANGUAGE) => ({
+  type: "flex",
+  altText: t(lang, "plans.listAlt"),
+  contents: {
+    type: "carousel",
+    contents: plans.map(plan => ({
+      type: "bubble",
+      size: "kilo",
+      body: {
+        type: "box",
+        layout: "vertical",
+        spacing: "sm",
+        contents: [
+          { type: "text", text: `${plan.inputs.startLocation} → ${plan.inputs.destination}`, weight: "bold", size: "md", wrap: true },
+          { type: "text", text: t(lang, "plans.dates", { start: plan.inputs.travelDateStart, end: plan.inputs.travelDateEnd }), size: "sm" },
+          { type: "text", text: t(lang, "plans.budget", { budget: Number(plan.inputs.budget).toLocaleString(LANGUAGES[lang].dateLocale), travelWith: plan.inputs.travelWith }), size: "sm" },
+          { type: "text", text: `🚗 ${plan.inputs.transport} • ${plan.inputs.preference}`, size: "xs", color: "#999999", wrap: true },
+        ],
+      },
+      footer: {
+        type: "box",
+        layout: "vertical",
+        spacing: "sm",
+        contents: [
+          { type: "button", style: "primary", color: "#1DB446", action: { type: "message", label: t(lang, "plans.view"), text: t(lang, "plans.viewText", { id: plan.id }) } },
+          { type: "button", style: "secondary", action: { type: "message", label: t(lang, "plans.regenerate"), text: t(lang, "plans.regenerateText", { id: plan.id }) } },
+        ],
+      },
+    })),
+  },
+});
+
+app.post("/submit-travel-plan", async (req, res) => {
+  const userId = await getAuthenticatedUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: "การยืนยันตัวตนกับ LINE ไม่สำเร็จ กรุณาเปิดหน้านี้ใหม่อีกครั้ง" });
+  }
+
+  const fieldErrors = validateTravelPlanInput(req.body);
+  if (Object.keys(fieldErrors).length > 0) {
+    console.error(`❌ Invalid travel plan input from user ${userId}:`, fieldErrors);
+    return res.status(400).json({ error: "ข้อมูลไม่ถูกต้อง กรุณาตรวจสอบอีกครั้ง", fields: fieldErrors });
+  }
+
+  const inputs = pickPlanInputs(req.body);
+
+  try {
+    const lang = await getUserLanguage(userId);
+    const generated = await generateTravelPlan(userId, inputs, { language: lang });
+    await savePlan(userId, inputs, generated);
+    const messages = createTravelPlanMessages(inputs, generated.content, { ...generated, lang });
+
+    console.log("📤 Pushing to LINE with payload:", JSON.stringify(messages, null, 2));
+    await pushToLine(userId, messages);
+    console.log(`✅ Successfully sent travel plan to LINE for user: ${userId}`);
+
+    res.status(200).json({ message: "Processed successfully" });
+  } catch (error) {
+    console.error("❌ Error processing travel plan:", error.message);
+    console.error("❌ Detailed error:", error.response?.data || error);
+    res.status(500).json({ error: "เกิดข้อผิดพลาดในการสร้างแผนการเดินทาง กรุณาลองใหม่" });
+  }
+});
+
+// collection ที่เก็บข้อมูลส่วนบุคคล ต้องลงทะเบียนไว้ที่นี่เพื่อให้การ export/ลบข้อมูลตาม PDPA ครอบคลุม
+// documents: ใช้ userId เป็น document id, queries: ค้นหาด้วย field ที่เก็บ userId
+// chatHistory ของกลุ่มไม่รวมอยู่ด้วย เพราะเก็บเป็นบทสนทนาร่วมของทั้งกลุ่มที่ไม่ได้ระบุผู้พิมพ์และถูกสรุปรวมกัน แยกรายคนไม่ได้
+// จึงลบทั้งก้อนเมื่อบอทออกจากกลุ่ม และหมดอายุเองเมื่อไม่มีการใช้งานเกิน MEMORY_SESSION_TTL_HOURS
+const personalDataCollections = {
+  documents: ["chatHistory", "users"],
+  queries: [{ collection: "plans", field: "userId" }, { collection: "tripJobs", field: "userId" }],
+};
+
+// โหวตแผนกลุ่มอยู่ใน document ของกลุ่ม ตามหาจากกลุ่มที่จดไว้ใน users.groupVoteChatIds ตอนโหวต
+const getVotedGroupIds = (user) => Object.keys(user?.groupVoteChatIds || {});
+
+const DATA_EXPORT_LINK_TTL_MS = 15 * 60 * 1000;
+
+// แปลง Date เป็น ISO string เพื่อให้อ่านได้ในไฟล์ JSON
+const serializeStoredValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(serializeStoredValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serializeStoredValue(item)]));
+  }
+  return value;
+};
+
+const exportPersonalData = async (userId) => {
+  const data = {};
+  for (const collectionName of personalDataCollections.documents) {
+    const item = await storage.get(collectionName, userId);
+    data[collectionName] = item ? serializeStoredValue(item) : null;
+  }
+  for (const { collection: collectionName, field } of personalDataCollections.queries) {
+    const items = await storage.find(collectionName, field, userId);
+    data[collectionName] = items.map(serializeStoredValue);
+  }
+  const groups = await Promise.all(getVotedGroupIds(data.users).map(async chatId => [chatId, (await groupRepository.get(chatId))?.groupPlan]));
+  data.groupPlanVotes = groups
+    .filter(([, draft]) => draft?.votes?.[userId])
+    .map(([chatId, draft]) => ({ chatId, draftId: draft.id, destination: draft.destination, placeIds: draft.votes[userId] }));
+  return { userId, exportedAt: new Date().toISOString(), data };
+};
+
+const deletePersonalData = async (userId) => {
+  const deleted = [];
+  const votedGroupIds = getVotedGroupIds(await userRepository.get(userId));
+  await Promise.all(votedGroupIds.map(chatId => groupRepository.updateInTransaction(chatId, (group) => {
+    const votes = group?.groupPlan?.votes;
+    if (!votes?.[userId]) return {};
+    return { fields: { "groupPlan.votes": Object.fromEntries(Object.entries(votes).filter(([voterId]) => voterId !== userId)) } };
+  })));
+  if (votedGroupIds.length > 0) deleted.push("groupPlan.votes");
+  for (const collectionName of personalDataCollections.documents) {
+    await storage.remove(collectionName, userId);
+    deleted.push(collectionName);
+  }
+  for (const { collection: collectionName, field } of personalDataCollections.queries) {
+    const items = await storage.find(collectionName, field, userId);
+    await Promise.all(items.map(item => storage.remove(collectionName, item.id)));
+    deleted.push(collectionName);
+  }
+  console.log(`🗑️ Deleted personal data for user ${userId}: ${deleted.join(", ")}`);
+  return deleted;
+};
+
+const createDataExportMessage = (userId, lang = DEFAULT_LANGUAGE) => {
+  const token = signPayload({ sub: userId, purpose: "export" }, DATA_EXPORT_LINK_TTL_MS);
+  return {
+    type: "flex",
+    altText: t(lang, "export.alt"),
+    contents: {
+      type: "bubble",
+      body: {
+        type: "box",
+        layout: "vertical",
+        spacing: "sm",
+        contents: [
+          { type: "text", text: t(lang, "export.title"), weight: "bold", size: "lg" },
+          { type: "text", text: t(lang, "export.description"), size: "sm", wrap: true },
+          { type: "text", text: t(lang, "export.expiry", { minutes: DATA_EXPORT_LINK_TTL_MS / 60000 }), size: "xs", color: "#999999", wrap: true },
+        ],
+      },
+      footer: {
+        type: "box",
+        layout: "vertical",
+        contents: [
+          {
+            type: "button",
+            action: { type: "uri", label: t(lang, "export.button"), uri: `${PUBLIC_BASE_URL}/pdpa/export?token=${token}` },
+            style: "primary",
+            color: "#1DB446",
+          },
+        ],
+      },
+    },
+  };
+};
+
+// ดาวน์โหลดข้อมูลส่วนบุคคล: ใช้ลิงก์แบบเซ็นจากแชต หรือ ID token จาก LIFF
+app.get("/pdpa/export", async (req, res) => {
+  const signedPayload = req.query.token ? verifySignedPayload(req.query.token) : null;
+  const userId = signedPayload?.purpose === "export" ? signedPayload.sub : await getAuthenticatedUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: "ลิงก์หมดอายุหรือไม่ถูกต้อง กรุณาขอลิงก์ใหม่ผ่าน LINE" });
+  }
+
+  try {
+    const exportData = await exportPersonalData(userId);
+    res.setHeader("Content-Disposition", `attachment; filename="tripster-data-${toDateKey(new Date())}.json"`);
+    res.status(200).json(exportData);
+  } catch (error) {
+    console.error("❌ Error exporting personal data:", error.message);
+    res.status(500).json({ error: "ไม่สามารถส่งออกข้อมูลได้ กรุณาลองใหม่" });
+  }
+});
+
+app.delete("/pdpa/data", async (req, res) => {
+  const userId = await getAuthenticatedUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: "การยืนยันตัวตนกับ LINE ไม่สำเร็จ" });
   }
 
   try {
-    const budgetPerPerson = budget / (travelWith === "เพื่อน" ? 2 : 1);
-    let additionalPrompt = "";
-    if (budgetPerPerson < 1000) {
-      console.warn(`⚠️ Budget too low: ${budget} THB for ${travelWith}`);
-      additionalPrompt = "\nงบประมาณอาจไม่เพียงพอ แนะนำสถานที่ราคาประหยัดเพิ่มเติม";
+    const deleted = await deletePersonalData(userId);
+    res.status(200).json({ message: "ลบข้อมูลเรียบร้อยแล้ว", deleted });
+  } catch (error) {
+    console.error("❌ Error deleting personal data:", error.message);
+    res.status(500).json({ error: "ไม่สามารถลบข้อมูลได้ กรุณาลองใหม่" });
+  }
+});
+
+// สถิติ hit/miss ของแคช API เปิดใช้เมื่อกำหนด METRICS_TOKEN
+app.get("/metrics/cache", (req, res) => {
+  if (!process.env.METRICS_TOKEN || req.get("Authorization") !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  res.status(200).json({ keys: apiCache.keys().length, persistent: API_CACHE_PERSISTENT, namespaces: apiCacheMetrics });
+});
+
+const MAX_FAVOURITES = 20;
+
+// โหลดข้อมูลสถานที่จาก placeId ใน postback (ใช้แคชของ Place Details)
+const getPostbackPlace = async (placeId, lang) => {
+  const place = placeId ? await getPlaceDetails(placeId, lang) : null;
+  return place?.latitude && place?.longitude ? place : null;
+};
+
+const placeUnavailableReply = (lang) => createTextReply(t(lang, "postback.placeUnavailable"), lang);
+
+// หมวดหมู่ที่ให้เลือกเป็นความสนใจตอนเริ่มใช้งาน
+const ONBOARDING_INTERESTS = PLACE_CATEGORIES.filter(category => category !== "other");
+
+const createOnboardingLanguageMessage = (lang) => ({
+  type: "text",
+  text: t(lang, "language.prompt"),
+  quickReply: {
+    items: Object.entries(LANGUAGES).map(([code, { name }]) => ({ type: "action", action: createPostbackAction(name, "language", { l: code }) })),
+  },
+});
+
+// ชิปความสนใจที่ยังไม่ได้เลือก พร้อมปุ่มเสร็จสิ้น
+const createOnboardingInterestsMessage = (text, selected, lang) => ({
+  type: "text",
+  text,
+  quickReply: {
+    items: [
+      ...ONBOARDING_INTERESTS
+        .filter(category => !selected.includes(category))
+        .map(category => ({ type: "action", action: createPostbackAction(t(lang, `category.${category}`), "interest", { c: category }) })),
+      { type: "action", action: createPostbackAction(t(lang, "onboarding.doneLabel"), "onboardingDone") },
+    ],
+  },
+});
+
+// แท็บของผลค้นหารอบตำแหน่งที่ผู้ใช้แชร์ แต่ละแท็บคือ type ของ Google Places
+const NEARBY_TABS = {
+  attractions: { type: "tourist_attraction", icon: "🏞️" },
+  food: { type: "restaurant", icon: "🍜" },
+  lodging: { type: "lodging", icon: "🏨" },
+};
+const NEARBY_RADIUS_M = 3000;
+
+// ผลค้นหารอบตัวของแท็บที่เลือก ตามด้วยแถบแท็บเป็น quick reply (postback เก็บพิกัดไว้ เปลี่ยนแท็บได้โดยไม่ต้องส่งตำแหน่งซ้ำ)
+const createNearbyMessages = async (location, tab, lang = DEFAULT_LANGUAGE) => {
+  const { type, icon } = NEARBY_TABS[tab];
+  const params = { tab: t(lang, `nearby.tab.${tab}`), km: NEARBY_RADIUS_M / 1000 };
+  const places = await searchNearbyPlaces(location, { type, radius: NEARBY_RADIUS_M, language: lang });
+  console.log(`📍 Found ${places.length} ${type} places near ${location.latitude},${location.longitude}`);
+
+  const tabBar = {
+    items: [
+      ...Object.entries(NEARBY_TABS)
+        .filter(([name]) => name !== tab)
+        .map(([name, item]) => ({
+          type: "action",
+          action: createPostbackAction(`${item.icon} ${t(lang, `nearby.tab.${name}`)}`, "nearby", { t: name, la: location.latitude, lo: location.longitude }),
+        })),
+      { type: "action", action: { type: "location", label: t(lang, "nearby.shareLocation") } },
+    ],
+  };
+  if (places.length === 0) return [{ type: "text", text: t(lang, "nearby.empty", params), quickReply: tabBar }];
+
+  const title = `${icon} ${t(lang, "nearby.title", params)}`;
+  return [
+    { type: "text", text: title },
+    createRecommendationCarousel(places, lang, { altText: title }),
+    { type: "text", text: getDataSourceNote(lang) + t(lang, "nearby.switchTab"), quickReply: tabBar },
+  ];
+};
+
+// ผลค้นหาชื่อสถานที่สำคัญที่อยู่ไกลจากพิกัดของ Vision เกินระยะนี้ถือว่าเป็นคนละที่
+const LANDMARK_MATCH_RADIUS_KM = 25;
+
+// สถานที่สำคัญที่ Vision พบในภาพ: ค้นหาใน Google Places เพื่อแสดงการ์ดเต็ม หากไม่พบใช้พิกัดจาก Vision แทน
+const resolveLandmarkPlace = async ({ landmark, latitude, longitude }, lang) => {
+  const location = await getLocationFromGooglePlaces(landmark, { language: lang });
+  const hasVisionLocation = latitude !== null && longitude !== null;
+  if (location && (!hasVisionLocation || getDistanceKm({ latitude, longitude }, location) <= LANDMARK_MATCH_RADIUS_KM)) {
+    const details = await getPlaceDetails(location.placeId, lang);
+    return { ...location, ...details };
+  }
+  if (!hasVisionLocation) return null;
+  console.warn(`⚠️ No Google Places match near Vision coordinates for ${landmark}, using Vision location`);
+  return { name: landmark, address: t(lang, "card.noAddress"), latitude, longitude };
+};
+
+// การ์ดของสถานที่ในภาพ พร้อม quick reply ดูที่พักและร้านอาหารรอบพิกัดนั้น (ใช้ action nearby)
+const createLandmarkMessages = async (analysis, lang) => {
+  const place = await resolveLandmarkPlace(analysis, lang);
+  if (!place) return null;
+
+  const labels = analysis.labels ? (await translateText(analysis.labels.join(", "), lang)).text : null;
+  const location = { latitude: place.latitude, longitude: place.longitude };
+  return [
+    {
+      type: "text",
+      text: t(lang, "image.landmark", { landmark: place.name, confidence: analysis.confidence }) +
+        (labels ? `\n${t(lang, "image.labels", { labels })}` : ""),
+    },
+    createPlaceFlexMessage(place, lang),
+    {
+      type: "text",
+      text: getDataSourceNote(lang) + t(lang, "image.landmarkFollowUp", { name: place.name }),
+      quickReply: {
+        items: [
+          ...["lodging", "food"].map(tab => ({
+            type: "action",
+            action: createPostbackAction(`${NEARBY_TABS[tab].icon} ${t(lang, `nearby.tab.${tab}`)}`, "nearby", { t: tab, la: location.latitude, lo: location.longitude }),
+          })),
+          ...createQuickReply(lang).items,
+        ],
+      },
+    },
+  ];
+};
+
+// ไม่พบสถานที่สำคัญ: ให้โมเดลดูภาพแล้วอธิบายบรรยากาศ พร้อมแนะนำที่เที่ยวภาคเหนือที่คล้ายกัน
+const describeImageScene = async (chatId, image, labels, lang) => {
+  const prompt = `ผู้ใช้ส่งรูปภาพนี้มา อธิบายสั้น ๆ ว่าในภาพเป็นสถานที่หรือบรรยากาศแบบใด แล้วแนะนำสถานที่ท่องเที่ยวในภาคเหนือของประเทศไทยที่มีบรรยากาศคล้ายกัน 1-2 แห่ง` +
+    (labels ? `\nป้ายกำกับจาก Google Vision: ${labels.join(", ")}` : "");
+  return getAIResponse(chatId, prompt, [], { feature: "vision", language: lang, media: image });
+};
+
+// action ของปุ่ม postback รับ payload ที่ตรวจลายเซ็นแล้ว (p: placeId, i: planId, l: ภาษา, c: หมวดหมู่, t/la/lo: แท็บและพิกัดของผลค้นหารอบตัว, f: ฟิลด์ของบทสนทนา, d: id ของร่างแผนกลุ่ม)
+// และ params ที่ LINE ส่งมากับ datetime picker, personal: ใช้ข้อมูลส่วนตัวของผู้กด จึงใช้ได้เฉพาะแชตส่วนตัว
+const postbackActions = {
+  details: {
+    handler: async ({ lang }, { p: placeId }) => {
+      const place = await getPostbackPlace(placeId, lang);
+      if (!place) return [placeUnavailableReply(lang)];
+      return [createPlaceFlexMessage(place, lang), createTextReply(getDataSourceNote(lang) + t(lang, "common.moreInfo"), lang)];
+    },
+  },
+
+  hotels: {
+    handler: async ({ lang }, { p: placeId }) => {
+      const place = await getPostbackPlace(placeId, lang);
+      if (!place) return [placeUnavailableReply(lang)];
+      const hotels = (await getHotelsNearPlace(place.name, { location: place, radius: 5000, language: lang }))
+        .filter(hotel => hotel.placeId !== placeId);
+      return [await createHotelRecommendationCarousel(hotels, lang), createTextReply(getDataSourceNote(lang) + t(lang, "common.moreInfo"), lang)];
+    },
+  },
+
+  save: {
+    personal: true,
+    handler: async ({ userId, lang }, { p: placeId }) => {
+      const place = await getPostbackPlace(placeId, lang);
+      if (!place) return [placeUnavailableReply(lang)];
+      const favourites = (await userRepository.get(userId))?.favourites || [];
+      if (favourites.some(item => item.placeId === placeId)) {
+        return [createTextReply(t(lang, "favourites.alreadySaved", { name: place.name }), lang)];
+      }
+      if (favourites.length >= MAX_FAVOURITES) {
+        return [createTextReply(t(lang, "favourites.full", { max: MAX_FAVOURITES }), lang)];
+      }
+
+      const now = new Date();
+      await userRepository.merge(userId, {
+        favourites: [...favourites, {
+          placeId,
+          name: place.name,
+          address: place.address || "",
+          latitude: place.latitude,
+          longitude: place.longitude,
+          rating: place.rating ?? "N/A",
+          photoReference: place.photoReference || null,
+          savedAt: now,
+        }],
+        lastUpdated: now,
+      });
+      return [createTextReply(t(lang, "favourites.saved", { name: place.name }), lang)];
+    },
+  },
+
+  // มีหลายแผนให้เลือกแผนก่อน (postback เดิมพร้อม i) มีแผนเดียวเพิ่มลงแผนนั้นเลย
+  trip: {
+    personal: true,
+    handler: async ({ userId, lang }, { p: placeId, i: planId }) => {
+      const plans = planId ? [await getUserPlan(userId, planId)].filter(Boolean) : await listUserPlans(userId, 5);
+      if (plans.length === 0) return [createTextReply(t(lang, planId ? "plans.notFound" : "plans.noPlanToEdit"), lang)];
+      if (plans.length > 1) {
+        return [{
+          type: "text",
+          text: t(lang, "trip.choosePlan"),
+          quickReply: {
+            items: plans.map(plan => ({
+              type: "action",
+              action: createPostbackAction(`${plan.inputs.destination} ${plan.inputs.travelDateStart}`.slice(0, 20), "trip", { p: placeId, i: plan.id }),
+            })),
+          },
+        }];
+      }
+
+      const [plan] = plans;
+      if (!plan.itinerary?.days?.length) return [createTextReply(t(lang, "trip.noItinerary"), lang)];
+      const place = await getPostbackPlace(placeId, lang);
+      if (!place) return [placeUnavailableReply(lang)];
+      if (plan.itinerary.days.some(day => day.stops.some(stop => stop.placeId === placeId))) {
+        return [createTextReply(t(lang, "trip.alreadyAdded", { name: place.name }), lang)];
+      }
+
+      const dayIndex = addPlaceToItinerary(plan.itinerary, place);
+      if (dayIndex === -1) return [createTextReply(t(lang, "trip.full"), lang)];
+      await savePlan(userId, plan.inputs, { content: plan.content, itinerary: plan.itinerary }, plan.id);
+      return [
+        createTextReply(t(lang, "trip.added", { name: place.name, day: dayIndex + 1, destination: plan.inputs.destination }), lang),
+        createItineraryCarousel(plan.itinerary, null, lang),
+      ];
+    },
+  },
+
+  nearby: {
+    handler: async ({ lang }, { t: tab, la: latitude, lo: longitude }) => {
+      if (!NEARBY_TABS[tab]) return [createTextReply(t(lang, "postback.expired"), lang)];
+      return createNearbyMessages({ latitude, longitude }, tab, lang);
+    },
+  },
+
+  // ขั้นตอนเริ่มใช้งานหลัง follow: เลือกภาษา แล้วเลือกความสนใจ
+  language: {
+    personal: true,
+    handler: async (chat, { l: code }) => {
+      const language = normalizeLanguage(code) || chat.lang;
+      await saveChatLanguage(chat, language);
+      return [createOnboardingInterestsMessage(t(language, "onboarding.interestsPrompt"), [], language)];
+    },
+  },
+
+  interest: {
+    personal: true,
+    handler: async ({ userId, lang }, { c: category }) => {
+      const interests = (await userRepository.get(userId))?.interests || [];
+      if (ONBOARDING_INTERESTS.includes(category) && !interests.includes(category)) interests.push(category);
+      await userRepository.merge(userId, { interests, lastUpdated: new Date() });
+      if (interests.length === ONBOARDING_INTERESTS.length) return postbackActions.onboardingDone.handler({ userId, lang });
+
+      const names = interests.map(item => t(lang, `category.${item}`)).join(", ");
+      return [createOnboardingInterestsMessage(t(lang, "onboarding.interestsSelected", { interests: names }), interests, lang)];
+    },
+  },
+
+  onboardingDone: {
+    personal: true,
+    handler: async ({ userId, lang }) => {
+      console.log(`✅ User ${userId} finished onboarding`);
+      return [createTextReply(t(lang, "onboarding.done"), lang)];
+    },
+  },
+
+  // ปุ่มใต้คำแนะนำสถานที่: เริ่มถามงบ ความชอบ ผู้ร่วมเดินทาง และวิธีเดินทางเพื่อสร้างแผน (d คือจังหวัดที่แนะนำ)
+  startPlanAnswers: {
+    personal: true,
+    handler: async ({ userId, lang }, { d: destination }) => {
+      await startDialogue(userId, "planAnswers", { answers: destination ? { destination } : {}, awaiting: "dailyBudget" });
+      return [createPlanAnswerQuestion("dailyBudget", [], lang)];
+    },
+  },
+
+  // วันที่จาก datetime picker ตอบคำถามของบทสนทนา เหมือนผู้ใช้พิมพ์วันที่ (params.date เป็น YYYY-MM-DD)
+  dialogueDate: {
+    personal: true,
+    handler: async (chat, { f: field }, params) => {
+      const dialogue = await getActiveDialogue(chat.userId);
+      if (!dialogue || dialogue.data.awaiting !== field || !params?.date) {
+        return [createTextReply(t(chat.lang, "dialogue.expired"), chat.lang)];
+      }
+      return (await continueDialogue({ ...chat, text: params.date }, dialogue)) || [];
+    },
+  },
+
+  // ปุ่มบนการ์ดที่ส่งก่อนเริ่มร่างใหม่หรือก่อนสรุปแผน (d ไม่ตรงกับร่างปัจจุบัน) ใช้ไม่ได้แล้ว
+  groupVote: {
+    handler: async ({ chatId, userId, lang }, { p: placeId, d: draftId }) => {
+      if (!userId) return [createTextReply(t(lang, "groupPlan.unknownMember"), lang)];
+      const draft = (await groupRepository.get(chatId))?.groupPlan;
+      const candidate = draft?.id === draftId ? draft.candidates.find(item => item.placeId === placeId) : null;
+      if (!candidate) return [createTextReply(t(lang, "groupPlan.outdated"), lang)];
+
+      // เขียนเฉพาะโหวตของผู้กด สมาชิกหลายคนกดพร้อมกันได้โดยไม่ทับกัน
+      const ownVotes = draft.votes?.[userId] || [];
+      const voted = !ownVotes.includes(placeId);
+      const placeIds = voted ? [...ownVotes, placeId] : ownVotes.filter(id => id !== placeId);
+      await groupRepository.update(chatId, { [`groupPlan.votes.${userId}`]: placeIds });
+      // จดกลุ่มไว้กับผู้ใช้ เพื่อให้ส่งออกและลบโหวตตามคำขอ PDPA ได้
+      await userRepository.merge(userId, { groupVoteChatIds: { [chatId]: true } });
+      const { votes } = tallyGroupPlanVotes({ ...draft, votes: { ...draft.votes, [userId]: placeIds } }).find(item => item.placeId === placeId);
+      return [createTextReply(t(lang, voted ? "groupPlan.voted" : "groupPlan.unvoted", { name: candidate.name, votes }), lang)];
+    },
+  },
+
+  // คะแนนจากข้อความสรุปหลังทริป บันทึกไว้กับแผน (ให้คะแนนซ้ำได้ ใช้ค่าล่าสุด)
+  tripFeedback: {
+    personal: true,
+    handler: async ({ userId, lang }, { i: planId, r: rating }) => {
+      const plan = await getUserPlan(userId, planId);
+      if (!plan) return [planNotFoundReply(lang)];
+      await planRepository.update(plan.id, { feedback: { rating, createdAt: new Date() } });
+      console.log(`⭐ User ${userId} rated plan ${plan.id}: ${rating}`);
+      return [createTextReply(t(lang, rating >= 4 ? "tripJobs.feedbackThanks" : "tripJobs.feedbackSorry"), lang)];
+    },
+  },
+
+  groupPlanConfirm: {
+    handler: async ({ chatId, lang }, { d: draftId }) => {
+      const draft = (await groupRepository.get(chatId))?.groupPlan;
+      if (draft?.id !== draftId || !draft.settings) return [createTextReply(t(lang, "groupPlan.outdated"), lang)];
+
+      const winners = tallyGroupPlanVotes(draft).filter(candidate => candidate.votes > 0);
+      const inputs = pickPlanInputs(draft.settings);
+      const generated = await generateTravelPlan(chatId, inputs, {
+        language: lang,
+        mustVisit: winners.slice(0, GROUP_PLAN_MAX_MUST_VISIT).map(candidate => candidate.name),
+      });
+      await saveGroupPlan(chatId, inputs, generated, winners.map(({ placeId, name, votes }) => ({ placeId, name, votes })));
+      return createTravelPlanMessages(inputs, generated.content, { ...generated, lang });
+    },
+  },
+};
+
+// ตรวจลายเซ็นของ postback data แล้วส่งต่อไปยัง action ที่ตรงกัน
+const routePostback = async (chat, data, params) => {
+  const { lang } = chat;
+  const payload = verifySignedPayload(data);
+  const action = payload && postbackActions[payload.a];
+  if (!action) {
+    console.warn(`⚠️ Invalid or expired postback data in chat ${chat.chatId}`);
+    return [createTextReply(t(lang, "postback.expired"), lang)];
+  }
+  if (action.personal && (chat.isGroupChat || !chat.userId)) return [createTextReply(t(lang, "group.personalOnly"), lang)];
+  console.log(`🔘 Running postback action ${payload.a} in chat ${chat.chatId}`);
+  return action.handler(chat, payload, params);
+};
+
+// ตัวจัดการ webhook แต่ละชนิด event รับ chat จาก getEventChat พร้อม lang ของห้องแชต
+const webhookEventHandlers = {
+  message: async (event, chat) => {
+    const { lang } = chat;
+    const message = event.message;
+
+    if (message.type === "text") {
+      let text = message.text;
+      if (chat.isGroupChat) {
+        // ในกลุ่มตอบเฉพาะเมื่อถูก mention หรือพิมพ์คำสั่ง เพื่อไม่ให้ตอบทุกข้อความที่สมาชิกคุยกัน
+        const mentionText = stripBotMention(message);
+        if (mentionText === null && !matchCommandAlias(text)) return;
+        if (mentionText === "") return replyToEvent(event, [createTextReply(t(lang, "group.welcome"), lang)]);
+        text = mentionText ?? text;
+      }
+      console.log(`📩 Received text message in chat ${chat.chatId}: ${text}`);
+
+      const messages = await getAIResponseWithMedia(chat, text, event.replyToken, lang);
+      if (messages.length > 0) await replyToEvent(event, messages);
+      return;
     }
 
-    const aiPrompt = `
-      ช่วยวางแผนการท่องเที่ยวในประเทศไทยโดยอิงจากข้อมูลต่อไปนี้:
-      - จุดเริ่มต้น: ${startLocation}
-      - ปลายทาง: ${destination}
-      - งบประมาณ: ${budget} บาท (สำหรับ ${travelWith === "เพื่อน" ? "2 คน" : "1 คน"})
-      - ความชอบ: ${preference}
-      - เดินทางกับ: ${travelWith}
-      - วิธีการเดินทาง: ${transport}
-      - วันเดินทางไป: ${travelDateStart}
-      - วันเดินทางกลับ: ${travelDateEnd}
-      แนะนำสถานที่ท่องเที่ยว 2-3 แห่งที่เหมาะสมกับความชอบและงบประมาณ พร้อมชื่อสถานที่, ที่อยู่, และคำอธิบายสั้น ๆ
-      แนะนำโรงแรม 1-2 แห่งใกล้สถานที่ท่องเที่ยวหลัก โดยพิจารณาความนิยม (เรตติ้ง) และราคาที่เหมาะสมกับ ${budget} บาท
-      หากเดินทางจาก ${startLocation} ไป ${destination} ด้วย ${transport} ควรใช้เส้นทางไหน หรือมีคำแนะนำอะไรเพิ่มเติม
-      หากไม่มีข้อมูลตรงตามความชอบ ให้แนะนำสถานที่ยอดนิยมใกล้เคียงใน ${destination}
-      ${additionalPrompt}
-    `;
-
-    console.log(`📝 Sending prompt to AI for user ${userId}: ${aiPrompt}`);
-    const aiResponse = await getAIResponse(userId, aiPrompt);
-    console.log(`🤖 AI Response: ${aiResponse}`);
-
-    // สร้างข้อความ text เท่านั้น
-    const messages = [
-      {
-        type: "text",
-        text: `🗺️ แผนการท่องเที่ยวจาก ${startLocation} ถึง ${destination}:\n${aiResponse}\n\nต้องการดูข้อมูลเพิ่มเติมหรือไม่? พิมพ์ "แนะนำที่เที่ยว" หรือ "แนะนำโรงแรม" ได้เลยครับ!`,
+    // รูปภาพ สติกเกอร์ และตำแหน่งในกลุ่มมักเป็นการคุยกันเองของสมาชิก จึงไม่ตอบ
+    if (chat.isGroupChat) return;
+
+    // ผู้ใช้แชร์ตำแหน่ง: แนะนำที่เที่ยวรอบตัวก่อน แล้วให้สลับแท็บเป็นร้านอาหารหรือที่พักได้
+    if (message.type === "location") {
+      console.log(`📍 Received location from user ${chat.userId}: ${message.latitude},${message.longitude}`);
+      const loadingStarted = await startLoadingAnimation(chat.userId, 10);
+      if (!loadingStarted) console.log("⚠️ Loading Animation failed for location");
+      await replyToEvent(event, await createNearbyMessages({ latitude: message.latitude, longitude: message.longitude }, "attractions", lang));
+      return;
+    }
+
+    if (message.type === "image") {
+      console.log(`📸 Received image message from user ${chat.userId}`);
+      const loadingStarted = await startLoadingAnimation(chat.userId, 20);
+      if (!loadingStarted) console.log("⚠️ Loading Animation failed for image");
+
+      const image = await downloadImageFromLine(message.id);
+      if (!image) {
+        await replyToEvent(event, [createTextReply(t(lang, "image.downloadFailed"), lang)]);
+        return;
       }
-    ];
+      const analysisResult = await analyzeImage(image.data);
+      const landmarkMessages = analysisResult?.landmark ? await createLandmarkMessages(analysisResult, lang) : null;
+      if (landmarkMessages) {
+        console.log(`🏛️ Recognised landmark ${analysisResult.landmark} (${analysisResult.confidence}%)`);
+        await replyToEvent(event, landmarkMessages);
+        return;
+      }
+      const description = await describeImageScene(chat.chatId, image, analysisResult?.labels, lang);
+      await replyToEvent(event, [createTextReply(description, lang)]);
+    } else if (message.type === "sticker") {
+      console.log(`🎉 Received sticker message from user ${chat.userId}`);
+      const messages = await getAIResponseWithMedia(chat, message, event.replyToken, lang);
+      await replyToEvent(event, messages);
+    }
+  },
 
-    console.log("📤 Pushing to LINE with payload:", JSON.stringify(messages, null, 2));
-    await pushToLine(userId, messages);
-    console.log(`✅ Successfully sent travel plan to LINE for user: ${userId}`);
+  postback: async (event, chat) => {
+    const messages = await routePostback(chat, event.postback.data, event.postback.params);
+    if (messages.length > 0) await replyToEvent(event, messages);
+  },
 
-    res.status(200).send("Processed successfully");
-  } catch (error) {
-    console.error("❌ Error processing travel plan:", error.message);
-    console.error("❌ Detailed error:", error.response?.data || error);
-    res.status(500).send("Error processing data");
+  // ผู้ใช้เพิ่มเพื่อนหรือเลิกบล็อก: ทักทาย แล้วให้เลือกภาษาและความสนใจ
+  follow: async (event, { userId, lang }) => {
+    console.log(`👋 User ${userId} followed Tripster`);
+    await replyToEvent(event, [{ type: "text", text: t(lang, "onboarding.welcome") }, createOnboardingLanguageMessage(lang)]);
+  },
+
+  // ผู้ใช้บล็อกหรือเลิกติดตามบอท ลบข้อมูลส่วนบุคคลทั้งหมดตาม PDPA
+  unfollow: async (event, { userId }) => {
+    if (userId) await deletePersonalData(userId);
+  },
+
+  join: async (event, { chatId, lang }) => {
+    await groupRepository.merge(chatId, { type: event.source.type, joinedAt: new Date() });
+    console.log(`👥 Tripster joined ${event.source.type} ${chatId}`);
+    await replyToEvent(event, [createTextReply(t(lang, "group.welcome"), lang)]);
+  },
+
+  // บอทถูกเชิญออกจากกลุ่ม: ลบข้อมูลของกลุ่ม แผนกลุ่ม และความจำของบทสนทนาในกลุ่ม
+  leave: async (event, { chatId }) => {
+    const groupPlans = await planRepository.listByGroup(chatId);
+    await Promise.all([
+      groupRepository.remove(chatId),
+      chatHistoryRepository.remove(chatId),
+      ...groupPlans.map(plan => planRepository.remove(plan.id)),
+    ]);
+    console.log(`👋 Tripster left ${event.source.type} ${chatId}, removed its data`);
+  },
+};
+
+const processWebhookEvents = async (events) => {
+  for (const event of events) {
+    if (!(await claimWebhookEvent(event))) {
+      console.log(`⏭️ Skipping duplicate webhook event ${event.webhookEventId}`);
+      continue;
+    }
+
+    const handler = webhookEventHandlers[event.type];
+    if (!handler) {
+      console.log(`⏭️ Ignoring unsupported webhook event type ${event.type}`);
+      continue;
+    }
+
+    const chat = getEventChat(event.source);
+    let lang = DEFAULT_LANGUAGE;
+    try {
+      // event ที่ตอบกลับได้ (มี replyToken) ต้องรู้ภาษาของห้องแชตก่อน
+      if (event.replyToken) lang = await getChatLanguage(chat, event.message?.type === "text" ? event.message.text : "");
+      await handler(event, { ...chat, lang });
+    } catch (error) {
+      console.error(`❌ Webhook ${event.type} processing error:`, error.message);
+      if (!event.replyToken) continue;
+      try {
+        await replyToEvent(event, [createTextReply(t(lang, "common.processingError"), lang)]);
+      } catch (sendError) {
+        console.error("❌ Failed to send error message to LINE:", sendError.message);
+      }
+    }
   }
-});
+};
+
+// ชุด event ที่กำลังประมวลผลอยู่ ให้ webhook simulator รอจนบอทตอบครบก่อนคืนผล
+const pendingWebhookBatches = new Set();
 
 app.post("/webhook", async (req, res) => {
+  if (!verifyLineSignature(req.rawBody, req.get("X-Line-Signature"))) {
+    console.error("❌ Invalid LINE webhook signature");
+    return res.status(401).json({ error: "Invalid signature" });
+  }
+
   const events = req.body.events;
   if (!events || !Array.isArray(events)) {
     console.error("❌ Invalid webhook event data");
     return res.status(400).json({ error: "Invalid event data" });
   }
 
-  for (const event of events) {
-    const replyToken = event.replyToken;
-    const userId = event.source.userId;
+  // ตอบ 200 ทันที เพื่อไม่ให้ LINE ส่ง event ซ้ำเพราะรอการประมวลผลนานเกินไป
+  res.status(200).send("Webhook received!");
+
+  const batch = processWebhookEvents(events).finally(() => pendingWebhookBatches.delete(batch));
+  pendingWebhookBatches.add(batch);
+});
+
+const SANDBOX_MESSAGE_TYPES = ["text", "image", "sticker", "location"];
+const SANDBOX_EVENT_TYPES = [...SANDBOX_MESSAGE_TYPES, "postback", "follow", "unfollow", "join", "leave"];
+// event ที่ LINE ส่งมาโดยไม่มี replyToken
+const SANDBOX_EVENTS_WITHOUT_REPLY = ["unfollow", "leave"];
+
+// สร้าง source ของแชตส่วนตัว หรือของกลุ่ม/ห้องเมื่อระบุ groupId/roomId (event leave ไม่มี userId)
+const createSimulatedSource = (input) => {
+  const userId = input.type === "leave" ? {} : { userId: input.userId || "Usandbox" };
+  if (input.groupId) return { type: "group", groupId: input.groupId, ...userId };
+  if (input.roomId) return { type: "room", roomId: input.roomId, ...userId };
+  return { type: "user", ...userId };
+};
+
+// สร้าง event ในรูปแบบเดียวกับที่ LINE ส่งมา
+const createSimulatedEvent = (input) => {
+  const now = Date.now();
+  const id = (prefix) => `${prefix}${now}${crypto.randomBytes(4).toString("hex")}`;
+  const event = {
+    type: SANDBOX_MESSAGE_TYPES.includes(input.type) ? "message" : input.type,
+    mode: "active",
+    timestamp: now,
+    source: createSimulatedSource(input),
+    webhookEventId: id("01SANDBOX"),
+    deliveryContext: { isRedelivery: Boolean(input.isRedelivery) },
+    ...(SANDBOX_EVENTS_WITHOUT_REPLY.includes(input.type) ? {} : { replyToken: id("sandbox-reply-") }),
+  };
+
+  if (input.type === "postback") {
+    event.postback = { data: input.data || "", ...(input.params ? { params: input.params } : {}) };
+    return event;
+  }
+  if (input.type === "follow") event.follow = { isUnblocked: Boolean(input.isUnblocked) };
+  if (!SANDBOX_MESSAGE_TYPES.includes(input.type)) return event;
+
+  const message = { id: id(""), type: input.type };
+  if (input.type === "text") {
+    // mention: true จำลองการ mention บอทไว้หน้าข้อความ
+    const text = input.mention ? `@Tripster ${input.text || ""}` : input.text || "";
+    Object.assign(message, { text, quoteToken: id("q") });
+    if (input.mention) message.mention = { mentionees: [{ index: 0, length: "@Tripster".length, type: "user", isSelf: true }] };
+  } else if (input.type === "image") {
+    Object.assign(message, { contentProvider: { type: "line" }, quoteToken: id("q") });
+  } else if (input.type === "sticker") {
+    Object.assign(message, {
+      packageId: String(input.packageId || "446"),
+      stickerId: String(input.stickerId || "1988"),
+      stickerResourceType: "STATIC",
+      keywords: input.keywords || [],
+      quoteToken: id("q"),
+    });
+  } else if (input.type === "location") {
+    const province = northernProvinceInfo["เชียงใหม่"];
+    Object.assign(message, {
+      title: input.title || "ตำแหน่งของฉัน",
+      address: input.address || "Chiang Mai, Thailand",
+      latitude: Number(input.latitude ?? province.latitude),
+      longitude: Number(input.longitude ?? province.longitude),
+    });
+  }
+  event.message = message;
+  return event;
+};
+
+if (SANDBOX_MODE) {
+  // ส่ง event จำลองผ่าน /webhook จริง (ลงลายเซ็นด้วย LINE_CHANNEL_SECRET) แล้วคืนข้อความที่บอทส่งออกไประหว่างนั้น
+  app.post("/sandbox/events", async (req, res) => {
+    const input = req.body || {};
+    if (!SANDBOX_EVENT_TYPES.includes(input.type)) {
+      return res.status(400).json({ error: `type ต้องเป็น ${SANDBOX_EVENT_TYPES.join(", ")}` });
+    }
+
+    const event = createSimulatedEvent(input);
+    const body = JSON.stringify({ destination: "Usandboxbot", events: [event] });
+    const signature = crypto.createHmac("sha256", LINE_CHANNEL_SECRET).update(body).digest("base64");
+    const startSequence = sandboxOutboxSequence;
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${PORT}/webhook`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-Line-Signature": signature },
+        body,
+      });
+      await Promise.all(pendingWebhookBatches);
+      res.json({
+        webhookStatus: response.status,
+        event,
+        sent: sandboxOutbox.filter(entry => entry.id > startSequence),
+      });
+    } catch (error) {
+      console.error("❌ Sandbox simulation failed:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get("/sandbox/outbox", (req, res) => res.json(sandboxOutbox));
+
+  app.delete("/sandbox/outbox", (req, res) => {
+    sandboxOutbox.length = 0;
+    res.status(204).end();
+  });
+
+  // รันข้อความตั้งเวลาของทริปทันที ระบุ now (ISO) เพื่อจำลองเวลาอื่นได้ คืนสรุปผลและข้อความที่ push ออกไป
+  app.post("/sandbox/trip-jobs/run", async (req, res) => {
+    const now = req.body?.now ? new Date(req.body.now) : new Date();
+    if (Number.isNaN(now.getTime())) return res.status(400).json({ error: "now ต้องเป็นวันที่รูปแบบ ISO" });
+    const startSequence = sandboxOutboxSequence;
+    const summary = await runTripJobs(now);
+    res.json({ summary, sent: sandboxOutbox.filter(entry => entry.id > startSequence) });
+  });
+}
+
+// ข้อความที่บอทส่งเองตามช่วงของทริป ตั้งเวลาไว้ตอนบันทึกแผน (ชั่วโมงเป็นเวลาประเทศไทย)
+const TRIP_JOB_INTERVAL_MINUTES = Number(process.env.TRIP_JOB_INTERVAL_MINUTES) || 15;
+const TRIP_REMINDER_DAYS_BEFORE = 3;
+const TRIP_JOB_MAX_ATTEMPTS = 3;
+const TRIP_MUTE_MAX_DAYS = 30;
+// กันโควตา push ส่วนนี้ไว้ให้ข้อความที่ผู้ใช้ขอเอง เช่น แผนจากฟอร์ม LIFF และแจ้งเตือนฝุ่น
+const LINE_PUSH_QUOTA_RESERVE = Number(process.env.LINE_PUSH_QUOTA_RESERVE ?? 50);
+
+const toBangkokTime = (dateKey, hour = 0) => new Date(`${dateKey}T${String(hour).padStart(2, "0")}:00:00+07:00`);
+
+const createTripJobQuickReply = (lang) => ({
+  items: [createMessageAction(t(lang, "tripJobs.muteLabel")), createMessageAction(t(lang, "tripJobs.stopLabel"))],
+});
+
+// คีย์ของ tripJobs.pack.* ตามสภาพอากาศที่พยากรณ์ไว้ ความชอบ และผู้ร่วมทริป
+const getPackingTips = (inputs, forecast) => {
+  const daily = forecast?.daily || [];
+  const preferences = getSelectedPreferences(inputs.preference);
+  const travellers = getTravellers(inputs);
+  return [
+    "documents",
+    ...(daily.some(day => (day.precipitationProbability ?? 0) >= 50) ? ["rain"] : []),
+    ...(daily.some(day => day.tempMin < 18) ? ["cold"] : []),
+    ...(daily.some(day => day.tempMax >= 33) ? ["hot"] : []),
+    ...(preferences.includes("nature") || preferences.includes("adventure") ? ["hiking"] : []),
+    ...(travellers.children > 0 ? ["children"] : []),
+    ...(travellers.seniors > 0 ? ["seniors"] : []),
+  ];
+};
+
+// ชนิดของข้อความตั้งเวลา createMessages คืน null เมื่อไม่มีอะไรให้ส่งแล้ว (เช่น แผนถูกแก้จนไม่มีวันนั้น)
+// priority น้อยส่งก่อนเมื่อโควตาเหลือไม่พอสำหรับทุกงาน
+const tripJobTypes = {
+  dayItinerary: {
+    priority: 0,
+    createMessages: async (job, plan, lang) => {
+      const dayIndex = plan.itinerary?.days.findIndex(day => day.date === job.date) ?? -1;
+      if (dayIndex === -1) return null;
+      const day = plan.itinerary.days[dayIndex];
+      const anchor = day.stops.find(stop => typeof stop.latitude === "number") || day.hotel;
+      const forecast = anchor ? await getWeatherForecast(anchor.latitude, anchor.longitude, { startDate: day.date, endDate: day.date }) : null;
+      return [
+        {
+          type: "text",
+          text: day.stops.length > 0
+            ? t(lang, "tripJobs.morning", { day: dayIndex + 1, destination: plan.inputs.destination, stops: day.stops.map(stop => stop.name).join(" → ") })
+            : t(lang, "tripJobs.morningFree", { day: dayIndex + 1, destination: plan.inputs.destination }),
+        },
+        createItineraryCarousel({ days: [day] }, forecast, lang, { dayOffset: dayIndex }),
+      ];
+    },
+  },
+
+  tripReminder: {
+    priority: 1,
+    createMessages: async (job, plan, lang, now) => {
+      const { destination, travelDateStart, travelDateEnd } = plan.inputs;
+      const location = await getLocationFromGooglePlaces(destination, { language: lang });
+      const forecast = location
+        ? await getWeatherForecast(location.latitude, location.longitude, { startDate: travelDateStart, endDate: travelDateEnd })
+        : null;
+      const days = Math.round((new Date(travelDateStart) - new Date(toDateKey(now))) / (24 * 60 * 60 * 1000));
+      const tips = getPackingTips(plan.inputs, forecast).map(key => `• ${t(lang, `tripJobs.pack.${key}`)}`);
+      return [
+        { type: "text", text: [t(lang, "tripJobs.reminder", { destination, days, start: travelDateStart, end: travelDateEnd }), t(lang, "tripJobs.packingTitle"), ...tips].join("\n") },
+        ...(forecast?.daily.length > 0 ? [createWeatherFlexMessage(location.name, forecast, lang)] : []),
+      ];
+    },
+  },
+
+  tripWrapUp: {
+    priority: 2,
+    createMessages: async (job, plan, lang) => [{
+      type: "text",
+      text: t(lang, "tripJobs.wrapUp", { destination: plan.inputs.destination }),
+      quickReply: {
+        items: [5, 4, 3, 2, 1].map(rating => ({
+          type: "action",
+          action: createPostbackAction("⭐".repeat(rating), "tripFeedback", { i: plan.id, r: rating }),
+        })),
+      },
+    }],
+  },
+};
+
+const createTripJobs = ({ travelDateStart, travelDateEnd }, itinerary) => {
+  const wrapUpDate = addDays(travelDateEnd, 1);
+  return [
+    {
+      type: "tripReminder",
+      date: travelDateStart,
+      runAt: toBangkokTime(addDays(travelDateStart, -TRIP_REMINDER_DAYS_BEFORE), 9),
+      expiresAt: toBangkokTime(travelDateStart),
+    },
+    // แผนการเดินทางของวันที่มาถึงหลังเที่ยงไม่มีประโยชน์แล้ว
+    ...(itinerary?.days || []).map(day => ({ type: "dayItinerary", date: day.date, runAt: toBangkokTime(day.date, 7), expiresAt: toBangkokTime(day.date, 12) })),
+    { type: "tripWrapUp", date: wrapUpDate, runAt: toBangkokTime(wrapUpDate, 10), expiresAt: toBangkokTime(addDays(wrapUpDate, 3)) },
+  ];
+};
+
+// ลบงานของผู้ใช้ทั้งหมด รวมประวัติของงานที่ส่งแล้วซึ่งเป็นของแผนก่อนหน้า
+const cancelTripJobs = async (userId) => {
+  const jobs = await tripJobRepository.listByUser(userId);
+  await Promise.all(jobs.map(job => tripJobRepository.remove(job.id)));
+  return jobs.filter(job => job.status === "pending").length;
+};
+
+// ติดตามได้ครั้งละหนึ่งทริปเหมือน upcomingTrip งานของแผนก่อนหน้าจึงถูกแทนที่ ตั้งเฉพาะงานที่ยังไม่ถึงเวลา
+const scheduleTripJobs = async (userId, planId, { inputs, itinerary }) => {
+  try {
+    await cancelTripJobs(userId);
+    const user = await userRepository.get(userId);
+    if (user?.tripReminders?.enabled === false) return 0;
+
+    const now = new Date();
+    const jobs = createTripJobs(inputs, itinerary).filter(job => job.runAt > now);
+    await Promise.all(jobs.map(job => tripJobRepository.create({ ...job, userId, planId, status: "pending", attempts: 0, createdAt: now })));
+    console.log(`⏰ Scheduled ${jobs.length} trip messages for plan ${planId}`);
+    return jobs.length;
+  } catch (error) {
+    console.error(`❌ Failed to schedule trip messages for plan ${planId}:`, error.message);
+    return 0;
+  }
+};
+
+// ส่งงานที่ถึงเวลาแล้ว งานที่ส่งไม่ได้เพราะโควตาใกล้หมดยังค้างเป็น pending จนกว่าจะหมดอายุ
+let tripJobsRunning = false;
+const runTripJobs = async (now = new Date()) => {
+  const summary = { sent: 0, skipped: 0, expired: 0, failed: 0, deferred: 0 };
+  if (tripJobsRunning) return summary;
+  tripJobsRunning = true;
+
+  try {
+    const dueJobs = (await tripJobRepository.listPending())
+      .filter(job => job.runAt <= now)
+      .sort((a, b) => tripJobTypes[a.type].priority - tripJobTypes[b.type].priority || a.runAt - b.runAt);
+    if (dueJobs.length === 0) return summary;
+
+    let remainingPushes = await getRemainingPushQuota();
+    if (remainingPushes === null) {
+      summary.deferred = dueJobs.length;
+      return summary;
+    }
+
+    const users = new Map();
+    for (const job of dueJobs) {
+      if (job.expiresAt <= now) {
+        await tripJobRepository.update(job.id, { status: "expired" });
+        summary.expired += 1;
+        continue;
+      }
+
+      if (!users.has(job.userId)) users.set(job.userId, await userRepository.get(job.userId));
+      const user = users.get(job.userId);
+      const settings = user?.tripReminders || {};
+      const plan = user && settings.enabled !== false && !(settings.mutedUntil > now) ? await planRepository.get(job.planId) : null;
+      if (!plan) {
+        await tripJobRepository.update(job.id, { status: "skipped" });
+        summary.skipped += 1;
+        continue;
+      }
+
+      if (remainingPushes <= LINE_PUSH_QUOTA_RESERVE) {
+        summary.deferred += 1;
+        continue;
+      }
 
-    if (event.type === "message") {
       try {
-        if (event.message.type === "text") {
-          const userMessage = event.message.text;
-          console.log(`📩 Received text message from user ${userId}: ${userMessage}`);
-
-          const userDocRef = doc(db, "chatHistory", userId);
-          const userDoc = await getDoc(userDocRef);
-          const isFirstMessage = !userDoc.exists();
-
-          const messages = await getAIResponseWithMedia(userId, userMessage, replyToken);
-
-          if (isFirstMessage && messages.length > 0) {
-            const lastMessage = messages[messages.length - 1];
-            if (!lastMessage.quickReply) {
-              const { lang: detectedLang } = await translateText(userMessage);
-              const welcomeMessage = await translateText("ยินดีต้อนรับสู่ Tripster! ลองเลือกคำสั่งด้านล่างเพื่อเริ่มต้นเลยครับ!", detectedLang);
-              messages.push({
-                type: "text",
-                text: welcomeMessage.text,
-                quickReply: createQuickReply(detectedLang),
-              });
-            }
-          }
-
-          if (messages && messages.length > 0) {
-            await sendToLine(replyToken, messages);
-          }
-        } else if (event.message.type === "image") {
-          console.log(`📸 Received image message from user ${userId}`);
-          const loadingStarted = await startLoadingAnimation(userId, 10);
-          if (!loadingStarted) console.log("⚠️ Loading Animation failed for image");
-
-          const imagePath = await downloadImageFromLine(event.message.id);
-          if (imagePath) {
-            const analysisResult = await analyzeImage(imagePath);
-            const { lang } = await translateText("ภาพนี้");
-            let message;
-            if (analysisResult) {
-              if (analysisResult.landmark) {
-                message = await translateText(
-                  `ภาพนี้น่าจะเป็น "${analysisResult.landmark}" (ความมั่นใจ ${analysisResult.confidence}%)` +
-                    (analysisResult.labels ? `\nรายละเอียดเพิ่มเติม: ${analysisResult.labels.join(", ")}` : ""),
-                  lang
-                );
-              } else {
-                message = await translateText(
-                  analysisResult.labels
-                    ? `ไม่สามารถระบุสถานที่ได้ แต่ภาพนี้อาจเกี่ยวข้องกับ: ${analysisResult.labels.join(", ")}`
-                    : "ไม่สามารถวิเคราะห์ภาพได้",
-                  lang
-                );
-              }
-            } else {
-              message = await translateText("ไม่สามารถวิเคราะห์ภาพได้", lang);
-            }
-            await sendToLine(replyToken, [{
-              type: "text",
-              text: message.text,
-              quickReply: createQuickReply(lang),
-            }]);
-            fs.unlink(imagePath, (err) => {
-              if (err) console.error(`❌ Error deleting file ${imagePath}:`, err.message);
-            });
-          } else {
-            const errorMsg = await translateText("ไม่สามารถดาวน์โหลดภาพได้", "th");
-            await sendToLine(replyToken, [{
-              type: "text",
-              text: errorMsg.text,
-              quickReply: createQuickReply("th"),
-            }]);
-          }
-        } else if (event.message.type === "sticker") {
-          console.log(`🎉 Received sticker message from user ${userId}`);
-          const messages = await getAIResponseWithMedia(userId, event.message, replyToken);
-          await sendToLine(replyToken, messages);
+        const lang = normalizeLanguage(user.language) || DEFAULT_LANGUAGE;
+        const messages = await tripJobTypes[job.type].createMessages(job, plan, lang, now);
+        if (!messages) {
+          await tripJobRepository.update(job.id, { status: "skipped" });
+          summary.skipped += 1;
+          continue;
         }
+        if (job.type !== "tripWrapUp") messages[messages.length - 1].quickReply = createTripJobQuickReply(lang);
+        await pushToLine(job.userId, messages);
+        remainingPushes -= 1;
+        await tripJobRepository.update(job.id, { status: "sent", sentAt: new Date() });
+        summary.sent += 1;
       } catch (error) {
-        console.error("❌ Webhook processing error:", error.message);
-        const errorMsg = await translateText("เกิดข้อผิดพลาดในการประมวลผล กรุณาลองใหม่", "th");
-        try {
-          await sendToLine(replyToken, [{
+        const attempts = (job.attempts || 0) + 1;
+        console.error(`❌ Failed to send trip message ${job.id} (${job.type}) to user ${job.userId}:`, error.message);
+        await tripJobRepository.update(job.id, { attempts, status: attempts >= TRIP_JOB_MAX_ATTEMPTS ? "failed" : "pending" });
+        summary.failed += 1;
+      }
+    }
+    if (summary.deferred > 0) console.warn(`⚠️ LINE push quota is low (${remainingPushes} left), deferred ${summary.deferred} trip messages`);
+    console.log(`⏰ Trip messages: ${Object.entries(summary).map(([status, count]) => `${status} ${count}`).join(", ")}`);
+  } catch (error) {
+    console.error("❌ Error running trip messages:", error.message);
+  } finally {
+    tripJobsRunning = false;
+  }
+  return summary;
+};
+
+// ตรวจค่าฝุ่นที่ปลายทางของผู้ใช้ที่เปิดการแจ้งเตือน และแจ้งไม่เกินวันละครั้ง
+const checkAirQualityAlerts = async () => {
+  const today = toDateKey(new Date());
+  const lookaheadEnd = addDays(today, AQI_ALERT_LOOKAHEAD_DAYS);
+  const provinceReadings = new Map();
+
+  try {
+    const users = await userRepository.listWithAqiAlerts();
+    for (const user of users) {
+      const { upcomingTrip, aqiAlert } = user;
+      if (!upcomingTrip || upcomingTrip.travelDateEnd < today || upcomingTrip.travelDateStart > lookaheadEnd) continue;
+
+      const lastAlertedAt = aqiAlert.lastAlertedAt || null;
+      if (lastAlertedAt && Date.now() - lastAlertedAt.getTime() < 24 * 60 * 60 * 1000) continue;
+
+      const province = findNorthernProvince(upcomingTrip.destination);
+      if (!province) continue;
+      if (!provinceReadings.has(province)) provinceReadings.set(province, await getAirQuality(province));
+      const airQuality = provinceReadings.get(province);
+      if (!airQuality || airQuality.aqi <= (aqiAlert.threshold || AQI_ALERT_DEFAULT_THRESHOLD)) continue;
+
+      try {
+        const lang = normalizeLanguage(user.language) || DEFAULT_LANGUAGE;
+        await pushToLine(user.id, [
+          {
             type: "text",
-            text: errorMsg.text,
-            quickReply: createQuickReply("th"),
-          }]);
-        } catch (sendError) {
-          console.error("❌ Failed to send error message to LINE:", sendError.message);
-        }
+            text: t(lang, "aqiAlert.push", { province: getProvinceName(province, lang), aqi: airQuality.aqi, start: upcomingTrip.travelDateStart }),
+          },
+          createAirQualityFlexMessage(airQuality, lang),
+        ]);
+        await userRepository.update(user.id, { "aqiAlert.lastAlertedAt": new Date() });
+      } catch (error) {
+        console.error(`❌ Failed to push AQI alert to user ${user.id}:`, error.message);
       }
     }
+  } catch (error) {
+    console.error("❌ Error checking air quality alerts:", error.message);
   }
-  res.status(200).send("Webhook received!");
-});
+};
+setInterval(checkAirQualityAlerts, AQI_ALERT_INTERVAL_MINUTES * 60 * 1000);
+setInterval(runTripJobs, TRIP_JOB_INTERVAL_MINUTES * 60 * 1000);
 
 // เปลี่ยน PORT เป็น 10000 สำหรับ Render หรือกำหนดผ่าน env vars
 const PORT = process.env.PORT || 10000;